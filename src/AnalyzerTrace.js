@@ -0,0 +1,387 @@
+/**
+ * AnalyzerTrace — Record per-frame analyzer output and replay it later
+ * through the same ParticleSystem.update(audioData) contract, with no audio
+ * device. Traces save as JSON (readable) or a compact binary format.
+ */
+
+// Per-frame scalar fields of AudioAnalyzer.getFrame()
+const SCALAR_FIELDS = [
+  "audioLevel",
+  "bass",
+  "mid",
+  "treble",
+  "balance",
+  "stereoWidth",
+  "isBeat",
+  "isDownbeat",
+  "onset",
+  "timeToNextBeat",
+  "bpm",
+  "beatPhase",
+  "barPhase",
+  "tempoConfidence",
+];
+const BOOLEAN_FIELDS = new Set(["isBeat", "isDownbeat"]);
+
+// SpectralFeatures values
+const FEATURE_FIELDS = [
+  "flux",
+  "centroid",
+  "centroidNorm",
+  "rolloff",
+  "rolloffNorm",
+  "flatness",
+  "rms",
+  "peak",
+  "loudness",
+];
+
+const MAGIC = "C4DT";
+const VERSION = 2;
+
+/* -------------------------------------------------------------------- */
+/*  Trace                                                                */
+/* -------------------------------------------------------------------- */
+
+export class AnalyzerTrace {
+  constructor() {
+    this.frames = []; // { time, scalars, features, bands, spectrum }
+    this.bandCount = null;
+    this.binCount = null;
+    this.startTime = null;
+  }
+
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  get duration() {
+    return this.frames.length ? this.frames[this.frames.length - 1].time : 0;
+  }
+
+  /** Append one AudioAnalyzer.getFrame() snapshot */
+  record(frame) {
+    if (this.startTime === null) {
+      this.startTime = frame.time;
+      this.bandCount = frame.bands.length;
+      this.binCount = frame.frequencyData ? frame.frequencyData.length : 0;
+    }
+
+    const bands = new Float32Array(this.bandCount);
+    bands.set(frame.bands.slice(0, this.bandCount));
+
+    let spectrum = null;
+    if (frame.frequencyData && this.binCount) {
+      spectrum = new Uint8Array(this.binCount);
+      spectrum.set(frame.frequencyData.subarray(0, this.binCount));
+    } else if (frame.frequencyData) {
+      // Recording began before audio started — adopt the first spectrum size
+      this.binCount = frame.frequencyData.length;
+      spectrum = Uint8Array.from(frame.frequencyData);
+    }
+
+    this.frames.push({
+      time: frame.time - this.startTime,
+      scalars: Float32Array.from(SCALAR_FIELDS, (f) => Number(frame[f])),
+      features: Float32Array.from(FEATURE_FIELDS, (f) =>
+        frame.features ? frame.features[f] : 0,
+      ),
+      bands,
+      spectrum,
+    });
+  }
+
+  /** Rebuild the audioData object for frame `index` */
+  frameAt(index) {
+    const f = this.frames[index];
+    const frame = { time: f.time };
+    SCALAR_FIELDS.forEach((name, i) => {
+      frame[name] = BOOLEAN_FIELDS.has(name) ? f.scalars[i] > 0 : f.scalars[i];
+    });
+    frame.features = {};
+    FEATURE_FIELDS.forEach((name, i) => {
+      frame.features[name] = f.features[i];
+    });
+    frame.bands = Array.from(f.bands);
+    frame.frequencyData = f.spectrum;
+    return frame;
+  }
+
+  /** Index of the last frame at or before `time` */
+  indexAt(time) {
+    let lo = 0;
+    let hi = this.frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.frames[mid].time <= time) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Serialisation                                                      */
+  /* ------------------------------------------------------------------ */
+
+  toJSON() {
+    return {
+      format: MAGIC,
+      version: VERSION,
+      scalarFields: SCALAR_FIELDS,
+      featureFields: FEATURE_FIELDS,
+      bandCount: this.bandCount,
+      binCount: this.binCount,
+      // Infinity (e.g. timeToNextBeat) has no JSON form — stored as null
+      frames: this.frames.map((f) => ({
+        t: f.time,
+        s: Array.from(f.scalars, (v) => (Number.isFinite(v) ? v : null)),
+        f: Array.from(f.features, (v) => (Number.isFinite(v) ? v : null)),
+        b: Array.from(f.bands),
+        d: f.spectrum ? Array.from(f.spectrum) : null,
+      })),
+    };
+  }
+
+  /**
+   * Binary layout: "C4DT", u32 version, u32 header length, JSON header
+   * padded to 8 bytes, then columns — f64 times, f32 scalars, f32 features,
+   * f32 bands, u8 has-spectrum flags, u8 spectra.
+   */
+  toArrayBuffer() {
+    const n = this.frames.length;
+    const S = SCALAR_FIELDS.length;
+    const F = FEATURE_FIELDS.length;
+    const B = this.bandCount || 0;
+    const D = this.binCount || 0;
+
+    const header = new TextEncoder().encode(
+      JSON.stringify({
+        frameCount: n,
+        scalarFields: SCALAR_FIELDS,
+        featureFields: FEATURE_FIELDS,
+        bandCount: B,
+        binCount: D,
+      }),
+    );
+    const headerEnd = Math.ceil((12 + header.length) / 8) * 8;
+
+    const size = headerEnd + n * 8 + n * (S + F + B) * 4 + n + n * D;
+    const buffer = new ArrayBuffer(size);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < 4; i++) bytes[i] = MAGIC.charCodeAt(i);
+    view.setUint32(4, VERSION, true);
+    view.setUint32(8, header.length, true);
+    bytes.set(header, 12);
+
+    let offset = headerEnd;
+    const times = new Float64Array(buffer, offset, n);
+    offset += n * 8;
+    const scalars = new Float32Array(buffer, offset, n * S);
+    offset += n * S * 4;
+    const features = new Float32Array(buffer, offset, n * F);
+    offset += n * F * 4;
+    const bands = new Float32Array(buffer, offset, n * B);
+    offset += n * B * 4;
+    const hasSpectrum = new Uint8Array(buffer, offset, n);
+    offset += n;
+    const spectra = new Uint8Array(buffer, offset, n * D);
+
+    this.frames.forEach((f, i) => {
+      times[i] = f.time;
+      scalars.set(f.scalars, i * S);
+      features.set(f.features, i * F);
+      bands.set(f.bands, i * B);
+      if (f.spectrum) {
+        hasSpectrum[i] = 1;
+        spectra.set(f.spectrum, i * D);
+      }
+    });
+    return buffer;
+  }
+
+  static fromJSON(json) {
+    if (json.format !== MAGIC) throw new Error("Not an analyzer trace");
+    AnalyzerTrace._checkFields(json.scalarFields, json.featureFields);
+
+    const trace = new AnalyzerTrace();
+    trace.bandCount = json.bandCount;
+    trace.binCount = json.binCount;
+    trace.startTime = 0;
+    trace.frames = json.frames.map((f) => ({
+      time: f.t,
+      scalars: Float32Array.from(f.s, (v) => (v === null ? Infinity : v)),
+      features: Float32Array.from(f.f, (v) => (v === null ? -Infinity : v)),
+      bands: Float32Array.from(f.b),
+      spectrum: f.d ? Uint8Array.from(f.d) : null,
+    }));
+    return trace;
+  }
+
+  static fromArrayBuffer(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+    if (magic !== MAGIC) throw new Error("Not an analyzer trace");
+    const version = view.getUint32(4, true);
+    if (version !== VERSION) {
+      throw new Error(`Unsupported trace version ${version}`);
+    }
+
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(
+      new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)),
+    );
+    AnalyzerTrace._checkFields(header.scalarFields, header.featureFields);
+
+    const n = header.frameCount;
+    const S = SCALAR_FIELDS.length;
+    const F = FEATURE_FIELDS.length;
+    const B = header.bandCount;
+    const D = header.binCount;
+
+    let offset = Math.ceil((12 + headerLength) / 8) * 8;
+    const times = new Float64Array(buffer, offset, n);
+    offset += n * 8;
+    const scalars = new Float32Array(buffer, offset, n * S);
+    offset += n * S * 4;
+    const features = new Float32Array(buffer, offset, n * F);
+    offset += n * F * 4;
+    const bands = new Float32Array(buffer, offset, n * B);
+    offset += n * B * 4;
+    const hasSpectrum = new Uint8Array(buffer, offset, n);
+    offset += n;
+    const spectra = new Uint8Array(buffer, offset, n * D);
+
+    const trace = new AnalyzerTrace();
+    trace.bandCount = B;
+    trace.binCount = D;
+    trace.startTime = 0;
+    for (let i = 0; i < n; i++) {
+      trace.frames.push({
+        time: times[i],
+        scalars: scalars.subarray(i * S, (i + 1) * S),
+        features: features.subarray(i * F, (i + 1) * F),
+        bands: bands.subarray(i * B, (i + 1) * B),
+        spectrum: hasSpectrum[i] ? spectra.subarray(i * D, (i + 1) * D) : null,
+      });
+    }
+    return trace;
+  }
+
+  /** Load a trace file, detecting binary vs. JSON from its first bytes */
+  static async fromFile(file) {
+    const buffer = await file.arrayBuffer();
+    const head = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+    if (head === MAGIC) return AnalyzerTrace.fromArrayBuffer(buffer);
+    return AnalyzerTrace.fromJSON(JSON.parse(new TextDecoder().decode(buffer)));
+  }
+
+  static _checkFields(scalarFields, featureFields) {
+    const same = (a, b) =>
+      a.length === b.length && a.every((v, i) => v === b[i]);
+    if (
+      !same(scalarFields, SCALAR_FIELDS) ||
+      !same(featureFields, FEATURE_FIELDS)
+    ) {
+      throw new Error("Trace was recorded with an incompatible field layout");
+    }
+  }
+}
+
+/* -------------------------------------------------------------------- */
+/*  Player                                                               */
+/* -------------------------------------------------------------------- */
+
+export class TracePlayer {
+  /**
+   * @param {AnalyzerTrace} trace
+   * @param {object} [options]
+   * @param {"realtime"|"frame"} [options.mode="realtime"]
+   *   realtime: follow the wall clock; frame: one trace frame per call
+   *   (exactly reproducible regardless of display rate)
+   */
+  constructor(trace, { mode = "realtime", loop = true } = {}) {
+    this.trace = trace;
+    this.mode = mode;
+    this.loop = loop;
+
+    this.isPlaying = false;
+    this.index = 0;
+    this.position = 0; // seconds into the trace
+    this.lastNow = null;
+  }
+
+  play() {
+    if (this.trace.frameCount === 0) return;
+    this.isPlaying = true;
+    this.lastNow = null;
+  }
+
+  pause() {
+    this.isPlaying = false;
+  }
+
+  /** Jump to a time (seconds) in the trace */
+  seek(time) {
+    this.position = Math.max(0, Math.min(this.trace.duration, time));
+    this.index = this.trace.indexAt(this.position);
+  }
+
+  /**
+   * Advance and return the frame to render.
+   * Beats skipped over in realtime mode are folded into the returned frame.
+   * @param {number} now  wall-clock seconds
+   */
+  next(now) {
+    const frame =
+      this.mode === "frame" ? this._nextFrame() : this._nextRealtime(now);
+    this.lastNow = now;
+    return frame;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  /** Frame mode: `index` is the frame to return next, starting at 0 */
+  _nextFrame() {
+    const trace = this.trace;
+    if (this.index >= trace.frameCount) {
+      if (this.loop) this.seek(0);
+      else this.index = trace.frameCount - 1;
+    }
+
+    const frame = trace.frameAt(this.index);
+    this.position = frame.time;
+    this.index++;
+    if (!this.loop && this.index >= trace.frameCount) this.isPlaying = false;
+    return frame;
+  }
+
+  _nextRealtime(now) {
+    const trace = this.trace;
+    const from = this.index;
+    const dt = this.lastNow === null ? 0 : now - this.lastNow;
+    this.position += dt;
+    this.index = trace.indexAt(this.position);
+
+    if (this.position >= trace.duration) {
+      if (this.loop) {
+        this.seek(0);
+      } else {
+        this.index = trace.frameCount - 1;
+        this.isPlaying = false;
+      }
+    }
+
+    const frame = trace.frameAt(this.index);
+    for (let i = from + 1; i < this.index; i++) {
+      const skipped = trace.frameAt(i);
+      frame.isBeat = frame.isBeat || skipped.isBeat;
+      frame.isDownbeat = frame.isDownbeat || skipped.isDownbeat;
+    }
+    return frame;
+  }
+}
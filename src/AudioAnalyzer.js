@@ -1,9 +1,31 @@
 /**
  * AudioAnalyzer — Enhanced audio analysis with beat detection and frequency band separation
  * Bass/Mid/Treble are separated and smoothed for fluid animation driving.
+ * Left and right channels are also analysed separately for stereo balance
+ * and width.
  */
+import { TrackAnalyzer } from "./TrackAnalyzer.js";
+import { TempoTracker } from "./TempoTracker.js";
+import { FrequencyBands } from "./FrequencyBands.js";
+import { SpectralFeatures } from "./SpectralFeatures.js";
+
+// Longest step the envelopes take — a stalled tab shouldn't snap them
+const MAX_FRAME_DELTA = 0.25;
+
+/** One-pole envelope step; time constants in seconds, 0 = instant */
+function follow(value, target, attack, release, dt) {
+  const tau = target > value ? attack : release;
+  if (tau <= 0) return target;
+  return value + (target - value) * (1 - Math.exp(-dt / tau));
+}
+
 export class AudioAnalyzer {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.fftSize=512]  analyser FFT size (power of two)
+   * @param {string | Array} [options.bands="classic"]  preset name or Hz list
+   */
+  constructor(options = {}) {
     this.audioContext = null;
     this.analyser = null;
     this.dataArray = null;
@@ -12,83 +34,393 @@ export class AudioAnalyzer {
     this.audioElement = null;
     this.isPlaying = false;
     this.gainNode = null;
+    this.inputGain = null;
+    this.liveGain = 1; // live input gain, kept across source changes
+    this.splitter = null;
+    this.channelAnalysers = []; // [left, right]
+    this.channelData = []; // byte spectra, one per channel
+    this.channelWaveforms = []; // float waveforms, one per channel
+    this.fftSize = options.fftSize || 512;
+
+    // Active source: "file" | "stream" | "buffer" | null
+    this.sourceType = null;
+    this.stream = null; // MediaStream we opened (stopped on release)
+    this.buffer = null;
+    this.bufferLoop = true;
+    this.bufferOffset = 0;
+    this.bufferStartedAt = 0;
+    this.monitoring = true; // route analysed audio to the speakers
 
     // Smoothed frequency bands (0–1 range)
     this.bass = 0;
     this.mid = 0;
     this.treble = 0;
 
+    // Stereo image — per-channel bands plus balance / width (smoothed)
+    this.left = { bass: 0, mid: 0, treble: 0, bands: [] };
+    this.right = { bass: 0, mid: 0, treble: 0, bands: [] };
+    this.balance = 0; // -1 = hard left, 0 = centre, 1 = hard right
+    this.stereoWidth = 0; // 0 = mono, ~1 = uncorrelated / wide
+
+    // Legacy bass/mid/treble split, defined in Hz
+    this.legacyBands = new FrequencyBands("classic");
+    this.legacyRaw = new Float32Array(3);
+
+    // Configurable band layout — smoothed values in bands[] (0–1 range)
+    this.bandLayout = null;
+    this.bands = [];
+    this.bandNames = [];
+    this.rawBands = null;
+    this.setBands(options.bands || "classic");
+
     // Beat detection
     this.beatThreshold = 0.45;
     this.beatDecay = 0.98;
-    this.beatMinInterval = 200; // ms between beats
-    this.lastBeatTime = 0;
+    this.beatMinInterval = 0.2; // s between beats (audio clock)
+    this.lastBeatTime = -Infinity;
     this.beatEnergy = 0;
     this.isBeat = false;
 
-    // Energy history for adaptive threshold
-    this.energyHistory = [];
-    this.energyHistoryMax = 60; // ~1 s at 60 fps
+    // Tempo tracking — once locked, beats come from the tempo grid
+    this.tempoTracker = new TempoTracker();
+    this.bpm = 120;
+    this.beatPhase = 0; // 0–1 within the current beat
+    this.barPhase = 0; // 0–1 within the current bar
+    this.tempoConfidence = 0; // 0–1
+
+    // Optional external beat source (e.g. MidiClock) — see setExternalClock
+    this.externalClock = null;
+    this.lastClockBeat = -1;
 
-    // Smoothing factor — higher = smoother
-    this.smoothing = 0.82;
+    // Spectral / loudness features (flux, centroid, rolloff, flatness, RMS)
+    this.features = new SpectralFeatures();
+    this.floatFrequencyData = null;
+    this.timeDomainData = null;
+
+    // Energy history for adaptive threshold
+    this.energyHistory = []; // { time, energy }
+    this.energyWindow = 1.0; // seconds
+
+    // Envelope followers (seconds, so the response doesn't depend on the
+    // display's frame rate); per-band overrides keyed by band name
+    this.attack = 0.06;
+    this.release = 0.12;
+    this.bandEnvelopes = {}; // name → { attack, release }
+    this.lastUpdateTime = null; // audio clock of the previous update
+
+    // File playback — the active deck and an optional A/B loop region
+    this.deck = null;
+    this.loopRegion = null;
+    this.onEnded = null; // called when a non-looping file finishes
+
+    // Offline pre-analysis (beat/onset/energy timeline)
+    this.preAnalyze = true;
+    this.timeline = null;
+    this.lastTimelineTime = 0;
+    this.onset = 0;
+    this.nextBeatTime = null;
+    this.timeToNextBeat = Infinity;
+    this.isDownbeat = false;
   }
 
   /* ------------------------------------------------------------------ */
   /*  Audio loading                                                      */
   /* ------------------------------------------------------------------ */
 
-  async loadAudio(file) {
-    // Clean up previous audio
-    if (this.audioElement) {
-      this.audioElement.pause();
-      this.audioElement = null;
-    }
-    if (this.source) {
-      this.source.disconnect();
-      this.source = null;
-    }
+  /** Load a single looping file, replacing whatever is playing */
+  async loadAudio(file, onAnalysisProgress) {
+    const deck = await this.loadDeck(file, onAnalysisProgress);
+    this.useDeck(deck, { loop: true });
+  }
 
-    // Create audio context if it doesn't exist
-    if (!this.audioContext) {
-      this.audioContext = new (
-        window.AudioContext || window.webkitAudioContext
-      )();
-    }
+  /**
+   * Prepare a file for playback without touching the current source:
+   * element buffered, timeline analysed, source routed into its own fader.
+   * @returns {Promise<object>} deck for useDeck() / crossfadeTo()
+   */
+  async loadDeck(file, onAnalysisProgress) {
+    this._ensureGraph();
 
     // Create audio element
-    this.audioElement = new Audio();
-    this.audioElement.src = URL.createObjectURL(file);
-    this.audioElement.crossOrigin = "anonymous";
-    this.audioElement.loop = true;
+    const element = new Audio();
+    element.src = URL.createObjectURL(file);
+    element.crossOrigin = "anonymous";
 
     // Wait for audio to be ready
     await new Promise((resolve, reject) => {
-      this.audioElement.addEventListener("canplaythrough", resolve, {
-        once: true,
-      });
-      this.audioElement.addEventListener("error", reject, { once: true });
+      element.addEventListener("canplaythrough", resolve, { once: true });
+      element.addEventListener("error", reject, { once: true });
     });
 
-    // Create analyser (higher fftSize for finer frequency resolution)
-    if (!this.analyser) {
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 512;
-      this.analyser.smoothingTimeConstant = 0.75;
+    // Decode the whole file up front and build the beat timeline
+    let timeline = null;
+    if (this.preAnalyze) {
+      try {
+        timeline = await this._analyzeFile(file, onAnalysisProgress);
+      } catch (error) {
+        console.warn("Pre-analysis failed, using live beat detection:", error);
+      }
+    }
+
+    const deck = {
+      file,
+      element,
+      timeline,
+      source: this.audioContext.createMediaElementSource(element),
+      fader: this.audioContext.createGain(),
+    };
+    deck.source.connect(deck.fader);
+    element.addEventListener("ended", () => {
+      if (this.deck === deck && this.onEnded) this.onEnded();
+    });
+    return deck;
+  }
 
-      this.bufferLength = this.analyser.frequencyBinCount; // 256 bins
-      this.dataArray = new Uint8Array(this.bufferLength);
+  /** Switch to a prepared deck immediately (stops the current source) */
+  useDeck(deck, { loop = false } = {}) {
+    this._releaseSource();
 
-      // Gain node
-      this.gainNode = this.audioContext.createGain();
-      this.gainNode.gain.value = 1.0;
+    deck.element.loop = loop;
+    deck.fader.gain.value = 1;
+    this._activateDeck(deck);
+
+    // Connect source → fader → input gain → analyser → gain → destination
+    this.source = deck.fader;
+    this._connectSource("file", { monitor: true });
+  }
+
+  /**
+   * Fade from the playing deck to a prepared one over `duration` seconds.
+   * A duration of 0 gives a gapless hand-over.
+   */
+  crossfadeTo(deck, duration = 4) {
+    const old = this.deck;
+    if (!old || this.sourceType !== "file") {
+      this.useDeck(deck);
+      this.play();
+      return;
     }
 
-    // Connect source → analyser → gain → destination
-    this.source = this.audioContext.createMediaElementSource(this.audioElement);
-    this.source.connect(this.analyser);
-    this.analyser.connect(this.gainNode);
-    this.gainNode.connect(this.audioContext.destination);
+    const now = this.audioContext.currentTime;
+    old.fader.gain.cancelScheduledValues(now);
+    old.fader.gain.setValueAtTime(old.fader.gain.value, now);
+    old.fader.gain.linearRampToValueAtTime(0, now + duration);
+    deck.fader.gain.setValueAtTime(duration > 0 ? 0 : 1, now);
+    deck.fader.gain.linearRampToValueAtTime(1, now + duration);
+
+    deck.element.loop = false;
+    deck.fader.connect(this.inputGain);
+    deck.element.play();
+
+    this._activateDeck(deck);
+    this.source = deck.fader;
+    this.isPlaying = true;
+
+    setTimeout(() => this.disposeDeck(old), duration * 1000 + 100);
+  }
+
+  /** Stop and free a deck that is no longer needed */
+  disposeDeck(deck) {
+    if (!deck || deck === this.deck) return;
+    deck.element.pause();
+    deck.source.disconnect();
+    deck.fader.disconnect();
+    URL.revokeObjectURL(deck.element.src);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Transport                                                          */
+  /* ------------------------------------------------------------------ */
+
+  /** Jump to a position (seconds) in the current file or buffer */
+  seek(time) {
+    if (this._movePlayhead(time)) this.resetAnalysis();
+  }
+
+  /** Duration in seconds of the current file or buffer (0 for live input) */
+  getDuration() {
+    if (this.sourceType === "file" && this.audioElement) {
+      return this.audioElement.duration || 0;
+    }
+    if (this.sourceType === "buffer" && this.buffer) {
+      return this.buffer.duration;
+    }
+    return 0;
+  }
+
+  /** Loop the current file forever (e.g. a one-track playlist) */
+  setLooping(enabled) {
+    if (this.audioElement) this.audioElement.loop = enabled;
+    this.bufferLoop = enabled;
+  }
+
+  /** A/B loop: playback jumps back to `start` when it reaches `end` */
+  setLoopRegion(start, end) {
+    if (!(end > start)) {
+      throw new Error(`Loop region end must be after start: ${start}–${end}`);
+    }
+    this.loopRegion = { start, end };
+  }
+
+  clearLoopRegion() {
+    this.loopRegion = null;
+  }
+
+  /**
+   * Forget per-track analysis state so the first beats after a track change
+   * or seek aren't judged against the previous material.
+   */
+  resetAnalysis() {
+    this.bass = 0;
+    this.mid = 0;
+    this.treble = 0;
+    this.bands.fill(0);
+    for (const channel of [this.left, this.right]) {
+      channel.bass = channel.mid = channel.treble = 0;
+      channel.bands.fill(0);
+    }
+    this.balance = 0;
+    this.stereoWidth = 0;
+
+    this.energyHistory = [];
+    this.beatEnergy = 0;
+    this.lastBeatTime = -Infinity;
+    this.isBeat = false;
+    this.isDownbeat = false;
+
+    this.tempoTracker.reset();
+    this.tempoConfidence = 0;
+    this.features.reset();
+
+    this.lastTimelineTime = this.getCurrentTime() - 1e-3;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Live & synthetic sources                                           */
+  /* ------------------------------------------------------------------ */
+
+  /** Audio input devices (labels are only filled in after permission) */
+  static async listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((d) => d.kind === "audioinput");
+  }
+
+  /**
+   * Analyse a microphone or audio-interface input.
+   * Browser voice processing is disabled so the signal stays unaltered.
+   * @param {object} [options]
+   * @param {string} [options.deviceId]  from listInputDevices()
+   * @param {number} [options.gain]  input gain before analysis, default
+   *   the last setInputGain()
+   * @param {boolean} [options.monitor=false]  also play through the speakers
+   */
+  async useMicrophone({
+    deviceId,
+    gain = this.liveGain,
+    monitor = false,
+  } = {}) {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    this.useStream(stream, { gain, monitor, ownsStream: true });
+  }
+
+  /** Analyse the audio of a shared browser tab or screen */
+  async useTabCapture({ gain = this.liveGain, monitor = false } = {}) {
+    const stream = await navigator.mediaDevices.getDisplayMedia({
+      audio: true,
+      video: true,
+    });
+    // Only the audio is needed; video is requested because browsers insist
+    stream.getVideoTracks().forEach((track) => track.stop());
+    if (stream.getAudioTracks().length === 0) {
+      throw new Error("The shared source has no audio track");
+    }
+    this.useStream(stream, { gain, monitor, ownsStream: true });
+  }
+
+  /**
+   * Analyse any MediaStream (live input, WebRTC, or a synthetic stream
+   * from MediaStreamAudioDestinationNode / captureStream()).
+   */
+  useStream(
+    stream,
+    { gain = this.liveGain, monitor = false, ownsStream = false } = {},
+  ) {
+    this._releaseSource();
+    this._ensureGraph();
+
+    this.stream = ownsStream ? stream : null;
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this._connectSource("stream", { monitor });
+    this.setInputGain(gain);
+
+    // Live sources are always "playing"
+    this.play();
+  }
+
+  /**
+   * Analyse a decoded AudioBuffer (e.g. generated test signals).
+   * The buffer is pre-analysed into a timeline like a loaded file.
+   */
+  async useBuffer(buffer, { loop = true, monitor = true } = {}) {
+    this._releaseSource();
+    this._ensureGraph();
+
+    this.buffer = buffer;
+    this.bufferLoop = loop;
+    this.bufferOffset = 0;
+    this.sourceType = "buffer";
+    this.monitoring = monitor;
+    this._applyMonitoring();
+
+    if (!this.preAnalyze) return;
+    let timeline = null;
+    try {
+      timeline = await new TrackAnalyzer().analyze(buffer);
+    } catch (error) {
+      console.warn("Pre-analysis failed, using live beat detection:", error);
+    }
+    // The source may have changed while the buffer was being analysed
+    if (this.buffer === buffer) this.timeline = timeline;
+  }
+
+  /**
+   * Gain applied to live input before analysis (and monitoring). Kept for
+   * the next live source; files and buffers play at unity.
+   */
+  setInputGain(gain) {
+    this.liveGain = Math.max(0, gain);
+    if (this.inputGain && this.sourceType === "stream") {
+      this.inputGain.gain.value = this.liveGain;
+    }
+  }
+
+  /** Route the analysed signal to the speakers or keep it silent */
+  setMonitoring(enabled) {
+    this.monitoring = enabled;
+    this._applyMonitoring();
+  }
+
+  /** Playback position in seconds of the current file or buffer */
+  getCurrentTime() {
+    if (this.sourceType === "file" && this.audioElement) {
+      return this.audioElement.currentTime;
+    }
+    if (this.sourceType === "buffer" && this.buffer) {
+      let t = this.bufferOffset;
+      if (this.source && this.isPlaying) {
+        t += this.audioContext.currentTime - this.bufferStartedAt;
+      }
+      return this.bufferLoop ? t % this.buffer.duration : t;
+    }
+    return 0;
   }
 
   /* ------------------------------------------------------------------ */
@@ -96,20 +428,111 @@ export class AudioAnalyzer {
   /* ------------------------------------------------------------------ */
 
   play() {
-    if (!this.audioElement) return;
+    if (!this.sourceType) return;
     if (this.audioContext.state === "suspended") {
       this.audioContext.resume();
     }
-    this.audioElement.play();
+    if (this.sourceType === "file") {
+      this.audioElement.play();
+    } else if (this.sourceType === "buffer") {
+      this._startBuffer();
+    }
     this.isPlaying = true;
   }
 
   pause() {
-    if (!this.audioElement) return;
-    this.audioElement.pause();
+    if (!this.sourceType) return;
+    if (this.sourceType === "file") {
+      this.audioElement.pause();
+    } else if (this.sourceType === "buffer" && this.source) {
+      this.bufferOffset = this.getCurrentTime();
+      this.source.onended = null;
+      this.source.stop();
+      this.source.disconnect();
+      this.source = null;
+    }
     this.isPlaying = false;
   }
 
+  /* ------------------------------------------------------------------ */
+  /*  Band layout                                                        */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Replace the band layout.
+   * @param {string | Array<{name?: string, low: number, high: number} | number[]>} definitions
+   *   Preset name ("classic", "drums", "log8", "log16", "log32", "bark", "mel")
+   *   or a list of bands in Hz.
+   */
+  setBands(definitions) {
+    this.bandLayout = new FrequencyBands(definitions);
+    this.bands = new Array(this.bandLayout.length).fill(0);
+    this.bandNames = this.bandLayout.definitions.map((band) => band.name);
+    this.left.bands = new Array(this.bandLayout.length).fill(0);
+    this.right.bands = new Array(this.bandLayout.length).fill(0);
+    this.rawBands = new Float32Array(this.bandLayout.length);
+    this._resolveBands();
+  }
+
+  /**
+   * Envelope attack/release times in seconds.
+   * @param {{attack?: number, release?: number} | null} envelope
+   * @param {string} [band]  band name ("bass", "sub", …, "balance",
+   *   "stereoWidth"); omit to change the default for every band. Passing
+   *   null with a band name removes its override.
+   */
+  setEnvelope(envelope, band) {
+    if (band === undefined) {
+      if (envelope.attack !== undefined) this.attack = envelope.attack;
+      if (envelope.release !== undefined) this.release = envelope.release;
+    } else if (envelope === null) {
+      delete this.bandEnvelopes[band];
+    } else {
+      this.bandEnvelopes[band] = { ...this.bandEnvelopes[band], ...envelope };
+    }
+  }
+
+  /** Change the analyser FFT size (power of two, 32–32768) */
+  setFFTSize(size) {
+    if (size < 32 || size > 32768 || (size & (size - 1)) !== 0) {
+      throw new Error(
+        `FFT size must be a power of two in 32–32768, got ${size}`,
+      );
+    }
+    this.fftSize = size;
+    if (this.analyser) this._applyFFTSize();
+  }
+
+  /**
+   * Let an external clock drive beats and tempo while it is running.
+   * The clock needs isRunning, bpm, beatCount, beatPhase, barPhase and
+   * beatsPerBar; pass null to go back to the analyser's own detection.
+   */
+  setExternalClock(clock) {
+    this.externalClock = clock;
+    this.lastClockBeat = clock ? clock.beatCount : -1;
+  }
+
+  /**
+   * Smoothed per-channel levels.
+   * @param {"left"|"right"} side
+   * @returns {{bass: number, mid: number, treble: number, bands: number[]}}
+   */
+  getChannel(side) {
+    return side === "right" ? this.right : this.left;
+  }
+
+  /** Smoothed value of a band by name (0 if absent) */
+  getBand(name) {
+    const i = this.bandLayout.indexOf(name);
+    return i >= 0 ? this.bands[i] : 0;
+  }
+
+  /** Resolved bands: name, Hz range and bin range */
+  getBandInfo() {
+    return this.bandLayout.ranges;
+  }
+
   setVolume(volume) {
     if (this.gainNode) {
       this.gainNode.gain.value = Math.max(0, Math.min(1, volume));
@@ -122,38 +545,78 @@ export class AudioAnalyzer {
 
   /**
    * Main update — call every frame.
-   * Computes smoothed bass/mid/treble, average level, and beat detection.
+   * Computes smoothed bass/mid/treble, spectral features, and beat detection.
    */
   update() {
     if (!this.analyser || !this.isPlaying) {
       this.isBeat = false;
+      this.isDownbeat = false;
+      this.lastUpdateTime = null;
+      // An external clock keeps the beat grid going without audio
+      if (this.externalClock && this.externalClock.isRunning) {
+        this._clockBeat();
+      }
       return;
     }
 
-    this.analyser.getByteFrequencyData(this.dataArray);
-
-    // --- frequency band boundaries ----------------------------------
-    // With 512 fftSize → 256 bins, sample rate ~44100
-    // Each bin = sampleRate / fftSize ≈ 86 Hz
-    // Bass  : bins 0–6   → 0 – ~520 Hz
-    // Mid   : bins 7–40  → ~600 – ~3400 Hz
-    // Treble: bins 41–128 → ~3500 – ~11000 Hz
-    const bassEnd = 7;
-    const midEnd = 41;
-    const trebleEnd = Math.min(128, this.bufferLength);
+    // A/B loop region — a wrap continues the same material, so the
+    // analysis (smoothing, beat history, tempo) carries on
+    if (this.loopRegion && this.getCurrentTime() >= this.loopRegion.end) {
+      this._movePlayhead(this.loopRegion.start);
+    }
 
-    const rawBass = this._bandAverage(0, bassEnd);
-    const rawMid = this._bandAverage(bassEnd, midEnd);
-    const rawTreble = this._bandAverage(midEnd, trebleEnd);
+    // Audio clock — advances with the sound, not with the display
+    const now = this.audioContext.currentTime;
+    const dt =
+      this.lastUpdateTime === null
+        ? 0
+        : Math.min(Math.max(now - this.lastUpdateTime, 0), MAX_FRAME_DELTA);
+    this.lastUpdateTime = now;
 
-    // Exponential smoothing
-    const s = this.smoothing;
-    this.bass = this.bass * s + rawBass * (1 - s);
-    this.mid = this.mid * s + rawMid * (1 - s);
-    this.treble = this.treble * s + rawTreble * (1 - s);
+    this.analyser.getByteFrequencyData(this.dataArray);
 
-    // --- beat detection (based on bass energy) ----------------------
-    this._detectBeat(rawBass);
+    // --- frequency bands (Hz → bins resolved for this sample rate) ----
+    const [rawBass, rawMid, rawTreble] = this.legacyBands.measure(
+      this.dataArray,
+      this.legacyRaw,
+    );
+    this.bandLayout.measure(this.dataArray, this.rawBands);
+
+    // Attack/release envelopes
+    this.bass = this._follow(this.bass, rawBass, "bass", dt);
+    this.mid = this._follow(this.mid, rawMid, "mid", dt);
+    this.treble = this._follow(this.treble, rawTreble, "treble", dt);
+    this._followBands(this.bands, this.rawBands, dt);
+
+    // --- stereo: per-channel bands, balance and width ----------------
+    this._updateStereo(dt);
+
+    // --- spectral features (float spectrum + waveform) ---------------
+    this.analyser.getFloatFrequencyData(this.floatFrequencyData);
+    this.analyser.getFloatTimeDomainData(this.timeDomainData);
+    this.features.update(
+      this.floatFrequencyData,
+      this.timeDomainData,
+      this.audioContext.sampleRate,
+    );
+
+    // --- tempo tracking (spectral flux onsets) ----------------------
+    this.tempoTracker.update(this.features.flux, rawBass, now);
+
+    // --- beat detection ---------------------------------------------
+    // External clock overrides everything; then the pre-analysed
+    // timeline, the locked tempo grid, and finally bass energy
+    if (this.externalClock && this.externalClock.isRunning) {
+      this._clockBeat();
+    } else if (this.timeline) {
+      this._timelineBeat(this.getCurrentTime());
+    } else if (this.tempoTracker.isLocked) {
+      this._trackerBeat();
+    } else {
+      // Keep publishing the (unlocked) tempo estimate alongside bass beats
+      this._trackerBeat();
+      this._detectBeat(rawBass, now);
+    }
   }
 
   /* ------------------------------------------------------------------ */
@@ -166,6 +629,39 @@ export class AudioAnalyzer {
     return this.dataArray;
   }
 
+  /**
+   * Snapshot of this frame's analysis — the audioData contract consumed by
+   * ParticleSystem.update() (and recorded by AnalyzerTrace).
+   */
+  getFrame() {
+    const active = this.analyser && this.isPlaying;
+    return {
+      time: performance.now() * 0.001,
+      audioLevel: this.getAverageFrequency(),
+      frequencyData: this.getFrequencyData(),
+      bass: this.bass,
+      mid: this.mid,
+      treble: this.treble,
+      bands: this.bands.slice(),
+      balance: this.balance,
+      stereoWidth: this.stereoWidth,
+      features: active ? this.features.toJSON() : null,
+      isBeat: this.isBeat,
+      isDownbeat: this.isDownbeat,
+      onset: this.onset,
+      timeToNextBeat: this.timeToNextBeat,
+      bpm: this.bpm,
+      beatPhase: this.beatPhase,
+      barPhase: this.barPhase,
+      tempoConfidence: this.tempoConfidence,
+    };
+  }
+
+  /** Spectral flux, centroid, rolloff, flatness and RMS/peak loudness */
+  getFeatures() {
+    return this.features;
+  }
+
   getAverageFrequency() {
     if (!this.analyser || !this.isPlaying) return 0;
     let sum = 0;
@@ -175,6 +671,11 @@ export class AudioAnalyzer {
     return sum / this.bufferLength;
   }
 
+  /** Pre-analysed timeline for the current track (null if unavailable) */
+  getTimeline() {
+    return this.timeline;
+  }
+
   getBassFrequency() {
     return this.bass * 255;
   }
@@ -189,29 +690,310 @@ export class AudioAnalyzer {
   /*  Internal helpers                                                   */
   /* ------------------------------------------------------------------ */
 
-  /** Average a range of bins, normalized 0–1 */
-  _bandAverage(start, end) {
+  _ensureGraph() {
+    // Create audio context if it doesn't exist
+    if (!this.audioContext) {
+      this.audioContext = new (
+        window.AudioContext || window.webkitAudioContext
+      )();
+    }
+
+    // Create analyser (higher fftSize for finer frequency resolution)
+    if (!this.analyser) {
+      this.inputGain = this.audioContext.createGain();
+      this.analyser = this.audioContext.createAnalyser();
+      // The analyser's own smoothing runs once per read (i.e. per frame);
+      // the envelope followers in update() do it in real time instead
+      this.analyser.smoothingTimeConstant = 0;
+
+      // Gain node (output volume)
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.gain.value = 1.0;
+
+      this.inputGain.connect(this.analyser);
+      this.analyser.connect(this.gainNode);
+
+      // Left/right analysers off a splitter. Forcing two "speakers"
+      // channels first up-mixes mono sources to both sides instead of
+      // leaving the right channel silent.
+      const stereo = this.audioContext.createGain();
+      stereo.channelCount = 2;
+      stereo.channelCountMode = "explicit";
+      stereo.channelInterpretation = "speakers";
+      this.splitter = this.audioContext.createChannelSplitter(2);
+      this.inputGain.connect(stereo);
+      stereo.connect(this.splitter);
+      this.channelAnalysers = [0, 1].map((channel) => {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.smoothingTimeConstant = this.analyser.smoothingTimeConstant;
+        this.splitter.connect(analyser, channel);
+        return analyser;
+      });
+      this._applyFFTSize();
+    }
+  }
+
+  _connectSource(type, { monitor }) {
+    this.sourceType = type;
+    this.source.connect(this.inputGain);
+    this.monitoring = monitor;
+    this._applyMonitoring();
+  }
+
+  _applyMonitoring() {
+    if (!this.gainNode) return;
+    this.gainNode.disconnect();
+    if (this.monitoring) {
+      this.gainNode.connect(this.audioContext.destination);
+    }
+  }
+
+  /** Stop and disconnect whatever source is active and reset analysis */
+  _releaseSource() {
+    if (this.deck) {
+      const deck = this.deck;
+      this.deck = null;
+      this.disposeDeck(deck);
+      this.audioElement = null;
+      this.source = null;
+    }
+    if (this.source) {
+      if (this.sourceType === "buffer") {
+        this.source.onended = null;
+        this.source.stop();
+      }
+      this.source.disconnect();
+      this.source = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    this.buffer = null;
+    this.sourceType = null;
+    this.isPlaying = false;
+
+    this.timeline = null;
+    this.loopRegion = null;
+    this.resetAnalysis();
+    // Unity for whatever comes next; useStream() re-applies liveGain
+    if (this.inputGain) this.inputGain.gain.value = 1.0;
+  }
+
+  _activateDeck(deck) {
+    this.deck = deck;
+    this.audioElement = deck.element;
+    this.timeline = deck.timeline;
+    this.loopRegion = null;
+    this.resetAnalysis();
+  }
+
+  /**
+   * Move the playback position without touching the analysis state.
+   * @returns {boolean} false when there is nothing to seek in
+   */
+  _movePlayhead(time) {
+    const duration = this.getDuration();
+    if (!duration) return false;
+    const t = Math.max(0, Math.min(duration - 0.01, time));
+
+    if (this.sourceType === "file") {
+      this.audioElement.currentTime = t;
+    } else if (this.sourceType === "buffer") {
+      const wasPlaying = this.isPlaying;
+      if (wasPlaying) this.pause();
+      this.bufferOffset = t;
+      if (wasPlaying) this.play();
+    }
+    return true;
+  }
+
+  _startBuffer() {
+    if (this.source) return;
+    const node = this.audioContext.createBufferSource();
+    node.buffer = this.buffer;
+    node.loop = this.bufferLoop;
+    node.connect(this.inputGain);
+    node.onended = () => {
+      // Non-looping buffer reached its end
+      this.source = null;
+      this.bufferOffset = 0;
+      this.isPlaying = false;
+    };
+    node.start(0, this.bufferOffset % this.buffer.duration);
+    this.source = node;
+    this.bufferStartedAt = this.audioContext.currentTime;
+  }
+
+  _applyFFTSize() {
+    this.analyser.fftSize = this.fftSize;
+    this.bufferLength = this.analyser.frequencyBinCount;
+    this.dataArray = new Uint8Array(this.bufferLength);
+    for (const analyser of this.channelAnalysers) {
+      analyser.fftSize = this.fftSize;
+    }
+    this.channelData = this.channelAnalysers.map(
+      () => new Uint8Array(this.bufferLength),
+    );
+    this.channelWaveforms = this.channelAnalysers.map(
+      () => new Float32Array(this.fftSize),
+    );
+    this.floatFrequencyData = new Float32Array(this.bufferLength);
+    this.timeDomainData = new Float32Array(this.fftSize);
+    this._resolveBands();
+  }
+
+  /** Map Hz band definitions to bins for the current context */
+  _resolveBands() {
+    if (!this.audioContext) return;
+    const { sampleRate } = this.audioContext;
+    this.legacyBands.resolve(sampleRate, this.fftSize);
+    this.bandLayout.resolve(sampleRate, this.fftSize);
+  }
+
+  async _analyzeFile(file, onProgress) {
+    const data = await file.arrayBuffer();
+    const buffer = await this.audioContext.decodeAudioData(data);
+    return new TrackAnalyzer().analyze(buffer, onProgress);
+  }
+
+  /** Beat grid from an external clock (e.g. MIDI clock) */
+  _clockBeat() {
+    const clock = this.externalClock;
+    const beat = clock.beatCount;
+    this.isBeat = beat !== this.lastClockBeat;
+    this.isDownbeat = this.isBeat && beat % clock.beatsPerBar === 0;
+    this.lastClockBeat = beat;
+
+    this.bpm = clock.bpm;
+    this.beatPhase = clock.beatPhase;
+    this.barPhase = clock.barPhase;
+    this.tempoConfidence = 1;
+  }
+
+  /**
+   * Per-channel bands from the left/right analysers, plus balance (RMS
+   * difference) and width (side vs. mid energy of the two waveforms).
+   */
+  _updateStereo(dt) {
+    const channels = [this.left, this.right];
+    for (let c = 0; c < 2; c++) {
+      const analyser = this.channelAnalysers[c];
+      const data = this.channelData[c];
+      const channel = channels[c];
+      analyser.getByteFrequencyData(data);
+      analyser.getFloatTimeDomainData(this.channelWaveforms[c]);
+
+      const [bass, mid, treble] = this.legacyBands.measure(
+        data,
+        this.legacyRaw,
+      );
+      channel.bass = this._follow(channel.bass, bass, "bass", dt);
+      channel.mid = this._follow(channel.mid, mid, "mid", dt);
+      channel.treble = this._follow(channel.treble, treble, "treble", dt);
+      this.bandLayout.measure(data, this.rawBands);
+      this._followBands(channel.bands, this.rawBands, dt);
+    }
+
+    const [l, r] = this.channelWaveforms;
+    let left = 0;
+    let right = 0;
     let sum = 0;
-    for (let i = start; i < end; i++) {
-      sum += this.dataArray[i];
+    let diff = 0;
+    for (let i = 0; i < l.length; i++) {
+      left += l[i] * l[i];
+      right += r[i] * r[i];
+      sum += (l[i] + r[i]) ** 2;
+      diff += (l[i] - r[i]) ** 2;
     }
-    return sum / (end - start) / 255;
+
+    // Silence has no stereo image — let both drift back to neutral
+    let balance = 0;
+    let width = 0;
+    if (left + right > 1e-6) {
+      const rmsLeft = Math.sqrt(left);
+      const rmsRight = Math.sqrt(right);
+      balance = (rmsRight - rmsLeft) / (rmsRight + rmsLeft);
+      // Uncorrelated channels have equal mid and side energy → width 1
+      width = Math.min(1, (2 * diff) / (sum + diff));
+    }
+    this.balance = this._follow(this.balance, balance, "balance", dt);
+    this.stereoWidth = this._follow(this.stereoWidth, width, "stereoWidth", dt);
+  }
+
+  /** Envelope step for band `name` using its attack/release times */
+  _follow(value, target, name, dt) {
+    const envelope = this.bandEnvelopes[name];
+    return follow(
+      value,
+      target,
+      envelope?.attack ?? this.attack,
+      envelope?.release ?? this.release,
+      dt,
+    );
+  }
+
+  /** Envelope step for every band of the layout, in place */
+  _followBands(values, targets, dt) {
+    const names = this.bandNames;
+    for (let i = 0; i < values.length; i++) {
+      values[i] = this._follow(values[i], targets[i], names[i], dt);
+    }
+  }
+
+  /** Copy beat grid state from the tempo tracker */
+  _trackerBeat() {
+    const tracker = this.tempoTracker;
+    this.isBeat = tracker.isBeat;
+    this.isDownbeat = tracker.isDownbeat;
+    this.bpm = tracker.bpm;
+    this.beatPhase = tracker.beatPhase;
+    this.barPhase = tracker.barPhase;
+    this.tempoConfidence = tracker.confidence;
+  }
+
+  /** Beat flags and look-ahead from the pre-analysed timeline */
+  _timelineBeat(time) {
+    const timeline = this.timeline;
+
+    // Playback looped or was seeked backwards
+    if (time < this.lastTimelineTime) {
+      this.lastTimelineTime = time - 1e-3;
+    }
+
+    const crossed = timeline.beatsBetween(this.lastTimelineTime, time);
+    this.isBeat = crossed.length > 0;
+    this.isDownbeat =
+      this.isBeat && timeline.isDownbeat(crossed[crossed.length - 1]);
+    this.lastTimelineTime = time;
+
+    this.bpm = timeline.bpm;
+    this.beatPhase = timeline.beatPhase(time);
+    this.barPhase = timeline.barPhase(time);
+    this.tempoConfidence = 1;
+
+    // Only the onset — the live envelopes already measure the band
+    // energies at the playhead
+    this.onset = timeline.onsetAt(time);
+    this.nextBeatTime = timeline.nextBeat(time);
+    this.timeToNextBeat =
+      this.nextBeatTime !== null ? this.nextBeatTime - time : Infinity;
   }
 
   /** Simple onset / beat detection on a normalized energy value */
-  _detectBeat(energy) {
-    // Update energy history
-    this.energyHistory.push(energy);
-    if (this.energyHistory.length > this.energyHistoryMax) {
+  _detectBeat(energy, now) {
+    // Update energy history (the last energyWindow seconds)
+    this.energyHistory.push({ time: now, energy });
+    while (this.energyHistory[0].time < now - this.energyWindow) {
       this.energyHistory.shift();
     }
 
     // Adaptive threshold = average recent energy * multiplier
     const avg =
-      this.energyHistory.reduce((a, b) => a + b, 0) / this.energyHistory.length;
+      this.energyHistory.reduce((a, b) => a + b.energy, 0) /
+      this.energyHistory.length;
     const adaptiveThreshold = Math.max(this.beatThreshold, avg * 1.4);
 
-    const now = performance.now();
     if (
       energy > adaptiveThreshold &&
       energy > this.beatEnergy &&
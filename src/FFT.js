@@ -0,0 +1,86 @@
+/**
+ * FFT — In-place radix-2 Cooley–Tukey transform for offline analysis.
+ * Twiddle factors and the bit-reversal table are precomputed per size.
+ */
+export class FFT {
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+
+    this.size = size;
+
+    // Twiddle factors for the largest stage; smaller stages stride through them
+    this.cosTable = new Float32Array(size / 2);
+    this.sinTable = new Float32Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cosTable[i] = Math.cos((2 * Math.PI * i) / size);
+      this.sinTable[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+
+    // Bit-reversal permutation
+    this.reverse = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) {
+        r = (r << 1) | ((i >> b) & 1);
+      }
+      this.reverse[i] = r;
+    }
+
+    // Scratch buffers reused by magnitudes()
+    this._re = new Float32Array(size);
+    this._im = new Float32Array(size);
+  }
+
+  /** Transform real/imag arrays (length = size) in place */
+  forward(re, im) {
+    const n = this.size;
+
+    for (let i = 0; i < n; i++) {
+      const j = this.reverse[i];
+      if (j > i) {
+        let t = re[i];
+        re[i] = re[j];
+        re[j] = t;
+        t = im[i];
+        im[i] = im[j];
+        im[j] = t;
+      }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+      const half = len >> 1;
+      const step = n / len;
+      for (let i = 0; i < n; i += len) {
+        for (let k = 0; k < half; k++) {
+          const wr = this.cosTable[k * step];
+          const wi = this.sinTable[k * step];
+          const a = i + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+
+  /**
+   * Magnitude spectrum of a real signal frame.
+   * Writes size/2 bins into `out` and returns it.
+   */
+  magnitudes(frame, out = new Float32Array(this.size / 2)) {
+    this._re.set(frame);
+    this._im.fill(0);
+    this.forward(this._re, this._im);
+    for (let i = 0; i < this.size / 2; i++) {
+      out[i] = Math.hypot(this._re[i], this._im[i]);
+    }
+    return out;
+  }
+}
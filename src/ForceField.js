@@ -0,0 +1,141 @@
+/**
+ * ForceField — Composable forces acting on ParticleSystem particles, in the
+ * spirit of C4D's field objects: point attractors / repulsors, axial
+ * vortices, directional wind or gravity, drag, and curl-noise turbulence.
+ * A field's strength can follow an audio feature.
+ *
+ * In morph mode a field's push offsets each particle from its rest shape;
+ * in emitter mode it accelerates the particle.
+ */
+import * as THREE from "three";
+import { createNoise3D } from "simplex-noise";
+import { createRandom } from "./Random.js";
+
+// Simplex noise instance, rebuilt by setNoiseSeed()
+let noise3D = createNoise3D(createRandom("1:noise"));
+
+// Field types understood by the GPU simulation, by shader id
+export const GPU_FIELD_TYPES = ["attractor", "vortex", "wind", "turbulence"];
+
+const _r = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+
+/**
+ * Reseed the noise behind curlNoise() (turbulence fields).
+ * @param {number|string} seed
+ */
+export function setNoiseSeed(seed) {
+  noise3D = createNoise3D(createRandom(`${seed}:noise`));
+}
+
+/**
+ * Divergence-free noise: the curl of three offset noise potentials.
+ * Writes the (normalised) vector into `out`.
+ */
+export function curlNoise(x, y, z, out) {
+  const e = 0.1;
+
+  const p_x0 = noise3D(x - e, y, z);
+  const p_x1 = noise3D(x + e, y, z);
+
+  const p_y0 = noise3D(x, y - e, z);
+  const p_y1 = noise3D(x, y + e, z);
+
+  const p_z0 = noise3D(x, y, z - e);
+  const p_z1 = noise3D(x, y, z + e);
+
+  out.set(
+    p_y1 - p_y0 - (p_z1 - p_z0),
+    p_z1 - p_z0 - (p_x1 - p_x0),
+    p_x1 - p_x0 - (p_y1 - p_y0),
+  );
+  return out.normalize();
+}
+
+export class ForceField {
+  /**
+   * @param {"attractor"|"vortex"|"wind"|"drag"|"turbulence"} type
+   * @param {object} [options]  any of the fields below; position and
+   *   direction accept a Vector3 or [x, y, z]
+   */
+  constructor(type, options = {}) {
+    this.type = type;
+    this.enabled = true;
+    this.position = new THREE.Vector3(); // attractor centre, vortex axis point
+    this.direction = new THREE.Vector3(0, 1, 0); // vortex axis, wind heading
+    this.strength = 1; // negative attractors repel
+    this.radius = 5; // attractor / vortex reach
+    this.falloff = 1; // (1 - d / radius) ^ falloff: 1 linear, >1 tighter
+    this.scale = 0.08; // turbulence: noise frequency
+    this.speed = 0.15; // turbulence: how fast the noise evolves
+    this.audio = null; // { feature: "bass", amount: 2 } scales strength
+
+    const { position, direction, ...rest } = options;
+    Object.assign(this, rest);
+    if (position) this._setVector(this.position, position);
+    if (direction) this._setVector(this.direction, direction);
+    this.direction.normalize();
+  }
+
+  /**
+   * Strength after the audio binding: strength × (1 + feature × amount).
+   * Features are audioData fields (bass, treble, onset…) or SpectralFeatures
+   * values (flux, centroidNorm…).
+   */
+  strengthFor(audioData) {
+    if (!this.audio) return this.strength;
+    const { feature, amount = 1 } = this.audio;
+    const value =
+      audioData[feature] ?? (audioData.features || {})[feature] ?? 0;
+    return this.strength * (1 + Number(value) * amount);
+  }
+
+  /**
+   * Add the field's push at (x, y, z) into `out` (drag is handled by the
+   * caller, since it acts on velocity).
+   * @param {THREE.Vector3} out
+   * @param {number} strength  from strengthFor()
+   * @param {number} time  seconds
+   */
+  apply(out, x, y, z, strength, time) {
+    switch (this.type) {
+      case "attractor": {
+        _r.set(this.position.x - x, this.position.y - y, this.position.z - z);
+        const d = _r.length();
+        if (d >= this.radius || d < 1e-6) break;
+        out.addScaledVector(_r, (strength * this._weight(d)) / d);
+        break;
+      }
+      case "vortex": {
+        // Swirl around the axis: tangent to the circle through the point
+        _r.set(x - this.position.x, y - this.position.y, z - this.position.z);
+        _r.addScaledVector(this.direction, -_r.dot(this.direction));
+        const d = _r.length();
+        if (d >= this.radius || d < 1e-6) break;
+        _tangent.crossVectors(this.direction, _r);
+        out.addScaledVector(_tangent, (strength * this._weight(d)) / d);
+        break;
+      }
+      case "wind":
+        out.addScaledVector(this.direction, strength);
+        break;
+      case "turbulence": {
+        const s = this.scale;
+        curlNoise(x * s, y * s, z * s + time * this.speed, _tangent);
+        out.addScaledVector(_tangent, strength);
+        break;
+      }
+    }
+    return out;
+  }
+
+  _weight(d) {
+    const w = 1 - d / this.radius;
+    return this.falloff === 1 ? w : Math.pow(w, this.falloff);
+  }
+
+  _setVector(target, value) {
+    if (Array.isArray(value)) target.fromArray(value);
+    else target.copy(value);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * FrequencyBands — Band layouts defined in Hz and resolved to FFT bins for
+ * the current sample rate and FFT size, so bands don't drift at 48 kHz or
+ * with a different analyser resolution.
+ */
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+// Zwicker critical-band edges (Hz)
+const BARK_EDGES = [
+  20, 100, 200, 300, 400, 510, 630, 770, 920, 1080, 1270, 1480, 1720, 2000,
+  2320, 2700, 3150, 3700, 4400, 5300, 6400, 7700, 9500, 12000, 15500,
+];
+
+/** Adjacent bands from a list of edges */
+function fromEdges(edges, prefix) {
+  const bands = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    bands.push({ name: `${prefix}${i}`, low: edges[i], high: edges[i + 1] });
+  }
+  return bands;
+}
+
+/** `count` logarithmically spaced bands between minHz and maxHz */
+export function logBands(count, minHz = 20, maxHz = 16000) {
+  const edges = [];
+  const ratio = maxHz / minHz;
+  for (let i = 0; i <= count; i++) edges.push(minHz * ratio ** (i / count));
+  return fromEdges(edges, "log");
+}
+
+/** `count` bands equally spaced on the mel scale */
+export function melBands(count = 24, minHz = 20, maxHz = 16000) {
+  const edges = [];
+  const lo = hzToMel(minHz);
+  const hi = hzToMel(maxHz);
+  for (let i = 0; i <= count; i++) {
+    edges.push(melToHz(lo + ((hi - lo) * i) / count));
+  }
+  return fromEdges(edges, "mel");
+}
+
+/** The 24 Bark critical bands */
+export function barkBands() {
+  return fromEdges(BARK_EDGES, "bark");
+}
+
+export const BAND_PRESETS = {
+  // Matches the original hard-coded bin split at 44.1 kHz / fftSize 512
+  classic: () => [
+    { name: "bass", low: 0, high: 600 },
+    { name: "mid", low: 600, high: 3500 },
+    { name: "treble", low: 3500, high: 11000 },
+  ],
+  // Drum-oriented split for kick vs. sub vs. snare style visuals
+  drums: () => [
+    { name: "sub", low: 20, high: 60 },
+    { name: "kick", low: 60, high: 150 },
+    { name: "lowMid", low: 150, high: 400 },
+    { name: "snare", low: 400, high: 2500 },
+    { name: "hats", low: 6000, high: 16000 },
+  ],
+  log8: () => logBands(8),
+  log16: () => logBands(16),
+  log32: () => logBands(32),
+  bark: () => barkBands(),
+  mel: () => melBands(24),
+};
+
+export class FrequencyBands {
+  /**
+   * @param {string | Array<{name?: string, low: number, high: number} | number[]>} definitions
+   *   Preset name or list of bands in Hz ({ low, high } or [low, high]).
+   */
+  constructor(definitions = "classic") {
+    if (typeof definitions === "string") {
+      const preset = BAND_PRESETS[definitions];
+      if (!preset) throw new Error(`Unknown band preset "${definitions}"`);
+      definitions = preset();
+    }
+
+    this.definitions = definitions.map((band, i) => {
+      const [low, high] = Array.isArray(band) ? band : [band.low, band.high];
+      if (!(high > low)) {
+        throw new Error(`Band ${i} has an empty range: ${low}–${high} Hz`);
+      }
+      return { name: band.name || `band${i}`, low, high };
+    });
+
+    // Bin ranges, filled in by resolve()
+    this.ranges = [];
+    this.sampleRate = 0;
+    this.fftSize = 0;
+  }
+
+  get length() {
+    return this.definitions.length;
+  }
+
+  /** Map the Hz definitions to [start, end) bin ranges */
+  resolve(sampleRate, fftSize) {
+    const binCount = fftSize / 2;
+    const binHz = sampleRate / fftSize;
+
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.ranges = [];
+    let previous = null;
+    for (const { name, low, high } of this.definitions) {
+      let start = Math.round(low / binHz);
+      // Bands narrower than a bin would land on the same bins (log32 at
+      // fftSize 512 puts its lowest several in bin 0): a band following
+      // on from the previous one gets the next free bin instead, so each
+      // keeps a bin of its own while there are bins to go round
+      if (previous && low >= previous.high) {
+        start = Math.max(start, previous.end);
+      }
+      start = Math.min(binCount - 1, start);
+      const end = Math.min(
+        binCount,
+        Math.max(start + 1, Math.round(high / binHz)),
+      );
+      previous = { name, low, high, start, end };
+      this.ranges.push(previous);
+    }
+    return this;
+  }
+
+  /** Average byte magnitudes per band, normalized 0–1, written into `out` */
+  measure(dataArray, out = new Float32Array(this.length)) {
+    for (let b = 0; b < this.ranges.length; b++) {
+      const { start, end } = this.ranges[b];
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += dataArray[i];
+      out[b] = sum / (end - start) / 255;
+    }
+    return out;
+  }
+
+  /** Index of a band by name (-1 if absent) */
+  indexOf(name) {
+    return this.definitions.findIndex((band) => band.name === name);
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * GPUParticleSimulation — Particle positions simulated on the GPU.
+ * Positions live in a pair of float textures (one texel per particle) that
+ * are ping-ponged every frame by a fragment shader doing the same work as
+ * ParticleSystem's CPU loop: morph lerp, force fields, breathing, stereo
+ * pan/spread (pointer interaction arrives as force fields too).
+ */
+import * as THREE from "three";
+import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer.js";
+import { GPU_FIELD_TYPES } from "./ForceField.js";
+import { createRandom } from "./Random.js";
+
+// Force fields the shader evaluates per frame (extra fields are ignored)
+const MAX_FIELDS = 8;
+
+// ---------------------------------------------------------------------
+// Shader: simplex noise (Ashima Arts / Stefan Gustavson, MIT)
+// ---------------------------------------------------------------------
+
+const simplexNoise = /* glsl */ `
+    vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 permute(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+    vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+    float snoise(vec3 v) {
+        const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+        const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+        vec3 i = floor(v + dot(v, C.yyy));
+        vec3 x0 = v - i + dot(i, C.xxx);
+
+        vec3 g = step(x0.yzx, x0.xyz);
+        vec3 l = 1.0 - g;
+        vec3 i1 = min(g.xyz, l.zxy);
+        vec3 i2 = max(g.xyz, l.zxy);
+
+        vec3 x1 = x0 - i1 + C.xxx;
+        vec3 x2 = x0 - i2 + C.yyy;
+        vec3 x3 = x0 - D.yyy;
+
+        i = mod289(i);
+        vec4 p = permute(permute(permute(
+                    i.z + vec4(0.0, i1.z, i2.z, 1.0))
+                  + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+                  + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+        float n_ = 0.142857142857;
+        vec3 ns = n_ * D.wyz - D.xzx;
+
+        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+        vec4 x_ = floor(j * ns.z);
+        vec4 y_ = floor(j - 7.0 * x_);
+
+        vec4 x = x_ * ns.x + ns.yyyy;
+        vec4 y = y_ * ns.x + ns.yyyy;
+        vec4 h = 1.0 - abs(x) - abs(y);
+
+        vec4 b0 = vec4(x.xy, y.xy);
+        vec4 b1 = vec4(x.zw, y.zw);
+        vec4 s0 = floor(b0) * 2.0 + 1.0;
+        vec4 s1 = floor(b1) * 2.0 + 1.0;
+        vec4 sh = -step(h, vec4(0.0));
+
+        vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+        vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+        vec3 p0 = vec3(a0.xy, h.x);
+        vec3 p1 = vec3(a0.zw, h.y);
+        vec3 p2 = vec3(a1.xy, h.z);
+        vec3 p3 = vec3(a1.zw, h.w);
+
+        vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+        p0 *= norm.x;
+        p1 *= norm.y;
+        p2 *= norm.z;
+        p3 *= norm.w;
+
+        vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+        m = m * m;
+        return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+    }
+`;
+
+// ---------------------------------------------------------------------
+// Shader: position update (mirrors ParticleSystem's CPU loop)
+// ---------------------------------------------------------------------
+
+const positionShader = /* glsl */ `
+    uniform sampler2D tScatter;
+    uniform sampler2D tModel;
+    uniform float uMorph;
+    uniform float uTime;
+    uniform float uBreathing;
+    uniform float uStereoPan;
+    uniform float uStereoSpread;
+
+    // Force fields, packed by GPUParticleSimulation.update()
+    uniform int uFieldCount;
+    uniform vec4 uFieldPosition[${MAX_FIELDS}]; // xyz, type id
+    uniform vec4 uFieldDirection[${MAX_FIELDS}]; // unit xyz, strength
+    uniform vec4 uFieldParams[${MAX_FIELDS}]; // radius, noise scale, speed, falloff
+    uniform vec3 uNoiseOffset; // seeded shift into the noise domain
+
+    ${simplexNoise}
+
+    // Potential-field curl, same construction as curlNoise() on the CPU.
+    // The simplex permutation is fixed, so the seed picks where in the
+    // (289-periodic) noise domain the fields sample instead.
+    vec3 curlNoise(vec3 p) {
+        const float e = 0.1;
+        p += uNoiseOffset;
+        float x0 = snoise(vec3(p.x - e, p.y, p.z));
+        float x1 = snoise(vec3(p.x + e, p.y, p.z));
+        float y0 = snoise(vec3(p.x, p.y - e, p.z));
+        float y1 = snoise(vec3(p.x, p.y + e, p.z));
+        float z0 = snoise(vec3(p.x, p.y, p.z - e));
+        float z1 = snoise(vec3(p.x, p.y, p.z + e));
+
+        vec3 v = vec3(y1 - y0 - (z1 - z0), z1 - z0 - (x1 - x0), x1 - x0 - (y1 - y0));
+        float len = length(v);
+        return len > 0.0 ? v / len : v;
+    }
+
+    // Same fields as ForceField.apply() on the CPU
+    vec3 fieldForce(vec3 pos) {
+        vec3 force = vec3(0.0);
+        for (int i = 0; i < ${MAX_FIELDS}; i++) {
+            if (i >= uFieldCount) break;
+            vec3 center = uFieldPosition[i].xyz;
+            float type = uFieldPosition[i].w;
+            vec3 dir = uFieldDirection[i].xyz;
+            float strength = uFieldDirection[i].w;
+            float radius = uFieldParams[i].x;
+            float falloff = uFieldParams[i].w;
+
+            if (type < 0.5) {
+                // Attractor (negative strength repels)
+                vec3 r = center - pos;
+                float d = length(r);
+                if (d < radius && d > 1e-6) {
+                    force += r * (strength * pow(1.0 - d / radius, falloff) / d);
+                }
+            } else if (type < 1.5) {
+                // Vortex around the axis through center
+                vec3 r = pos - center;
+                r -= dir * dot(r, dir);
+                float d = length(r);
+                if (d < radius && d > 1e-6) {
+                    force += cross(dir, r) * (strength * pow(1.0 - d / radius, falloff) / d);
+                }
+            } else if (type < 2.5) {
+                // Wind / gravity
+                force += dir * strength;
+            } else {
+                // Turbulence
+                vec3 p = pos * uFieldParams[i].y + vec3(0.0, 0.0, uTime * uFieldParams[i].z);
+                force += curlNoise(p) * strength;
+            }
+        }
+        return force;
+    }
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+
+        // Target: scatter ↔ model, widened / panned by the stereo image
+        vec3 target = mix(texture2D(tScatter, uv).xyz, texture2D(tModel, uv).xyz, uMorph);
+        target.x = target.x * (1.0 + uStereoSpread) + uStereoPan;
+
+        vec3 goal = target * uBreathing + fieldForce(pos);
+        gl_FragColor = vec4(mix(pos, goal, 0.05), 1.0);
+    }
+`;
+
+export class GPUParticleSimulation {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {number} count
+   * @param {Float32Array} scatterPositions  xyz per particle (initial state)
+   * @param {number|string} [seed]  seeds the turbulence noise
+   */
+  constructor(renderer, count, scatterPositions, seed = 1) {
+    this.count = count;
+    this.size = Math.ceil(Math.sqrt(count));
+    this.compute = new GPUComputationRenderer(this.size, this.size, renderer);
+
+    const initial = this.compute.createTexture();
+    this._fill(initial, scatterPositions);
+    this.scatterTexture = this.compute.createTexture();
+    this._fill(this.scatterTexture, scatterPositions);
+    this.modelTexture = this.compute.createTexture();
+    this._fill(this.modelTexture, scatterPositions);
+
+    this.positionVariable = this.compute.addVariable(
+      "texturePosition",
+      positionShader,
+      initial,
+    );
+    this.compute.setVariableDependencies(this.positionVariable, [
+      this.positionVariable,
+    ]);
+    this.uniforms = this.positionVariable.material.uniforms;
+    Object.assign(this.uniforms, {
+      tScatter: { value: this.scatterTexture },
+      tModel: { value: this.modelTexture },
+      uMorph: { value: 0 },
+      uTime: { value: 0 },
+      uBreathing: { value: 1 },
+      uStereoPan: { value: 0 },
+      uStereoSpread: { value: 0 },
+      uFieldCount: { value: 0 },
+      uFieldPosition: { value: this._vectors(MAX_FIELDS) },
+      uFieldDirection: { value: this._vectors(MAX_FIELDS) },
+      uFieldParams: { value: this._vectors(MAX_FIELDS) },
+      uNoiseOffset: { value: new THREE.Vector3() },
+    });
+    this.setNoiseSeed(seed);
+
+    // Non-null means float render targets or vertex textures are missing
+    this.error = this.compute.init();
+  }
+
+  /** Texture holding the current positions (sample with referenceUVs) */
+  get texture() {
+    return this.compute.getCurrentRenderTarget(this.positionVariable).texture;
+  }
+
+  /** Texture holding the positions of the step before (for motion) */
+  get previousTexture() {
+    return this.compute.getAlternateRenderTarget(this.positionVariable).texture;
+  }
+
+  /** Per-particle texel centres, for the render material's aReference */
+  referenceUVs() {
+    const uvs = new Float32Array(this.count * 2);
+    for (let i = 0; i < this.count; i++) {
+      uvs[i * 2] = ((i % this.size) + 0.5) / this.size;
+      uvs[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+    }
+    return uvs;
+  }
+
+  /**
+   * Morph endpoints (xyz per particle); uMorph blends from → to.
+   * @param {Float32Array} from
+   * @param {Float32Array | null} to  null keeps the previous texture
+   */
+  setTargets(from, to) {
+    this._fill(this.scatterTexture, from);
+    if (to) this._fill(this.modelTexture, to);
+  }
+
+  /**
+   * Reseed the turbulence noise (like setNoiseSeed() for the CPU fields).
+   * @param {number|string} seed
+   */
+  setNoiseSeed(seed) {
+    const random = createRandom(`${seed}:noise`);
+    this.uniforms.uNoiseOffset.value.set(
+      random() * 289,
+      random() * 289,
+      random() * 289,
+    );
+  }
+
+  /**
+   * Advance one step.
+   * @param {object} state  morph, time, fields ([{ field, strength }]),
+   *   breathing, stereoPan, stereoSpread
+   */
+  update(state) {
+    const u = this.uniforms;
+    u.uMorph.value = state.morph;
+    u.uTime.value = state.time;
+    this._packFields(state.fields);
+    u.uBreathing.value = state.breathing;
+    u.uStereoPan.value = state.stereoPan;
+    u.uStereoSpread.value = state.stereoSpread;
+    this.compute.compute();
+  }
+
+  dispose() {
+    this.compute.dispose();
+    this.scatterTexture.dispose();
+    this.modelTexture.dispose();
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _vectors(count) {
+    return Array.from({ length: count }, () => new THREE.Vector4());
+  }
+
+  /** Force fields into the uField* uniform arrays (drag has no GPU form) */
+  _packFields(fields) {
+    const u = this.uniforms;
+    let n = 0;
+    for (const { field, strength } of fields) {
+      const type = GPU_FIELD_TYPES.indexOf(field.type);
+      if (type < 0 || n >= MAX_FIELDS) continue;
+      const { position, direction } = field;
+      u.uFieldPosition.value[n].set(position.x, position.y, position.z, type);
+      u.uFieldDirection.value[n].set(
+        direction.x,
+        direction.y,
+        direction.z,
+        strength,
+      );
+      u.uFieldParams.value[n].set(
+        field.radius,
+        field.scale,
+        field.speed,
+        field.falloff,
+      );
+      n++;
+    }
+    u.uFieldCount.value = n;
+  }
+
+  _fill(texture, positions) {
+    const data = texture.image.data;
+    for (let i = 0; i < this.count; i++) {
+      data[i * 4] = positions[i * 3];
+      data[i * 4 + 1] = positions[i * 3 + 1];
+      data[i * 4 + 2] = positions[i * 3 + 2];
+      data[i * 4 + 3] = 1;
+    }
+    texture.needsUpdate = true;
+  }
+}
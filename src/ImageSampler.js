@@ -0,0 +1,180 @@
+/**
+ * ImageSampler — Random points on an image (a logo, a photo), with the
+ * same sample() interface as MeshSampler so an image can be a morph
+ * target. Pixels are picked in proportion to their weight — opacity for
+ * images with a transparent background (logos), else opacity times
+ * luminance — and keep their colour. Depth along z can follow
+ * brightness or a separate depth map. The image is centred on the origin
+ * in the XY plane, facing the default camera.
+ */
+import * as THREE from "three";
+
+// Images are read from a copy no larger than this per side
+const MAX_IMAGE_SIZE = 512;
+
+export const IMAGE_DEFAULTS = {
+  size: 5, // world units across the longer side
+  // "luminance" (opacity × brightness) | "opacity" | "auto" (opacity if
+  // the image has a transparent background, else luminance)
+  density: "auto",
+  threshold: 0.05, // pixels weighing less are never picked (0–1)
+  depth: 0, // z range; 0 = flat
+  depthFrom: "brightness", // "brightness" (bright = near) | "map"
+  depthMap: null, // image read when depthFrom is "map" (bright = near)
+};
+
+export class ImageSampler {
+  /**
+   * @param {CanvasImageSource | {data, width, height}} image  an image,
+   *   bitmap or canvas, or RGBA bytes
+   * @param {object} [options]  see IMAGE_DEFAULTS
+   */
+  constructor(image, options = {}) {
+    this.options = { ...IMAGE_DEFAULTS, ...options };
+    this.pixels = this._read(image);
+    const { width, height } = this.pixels;
+    this.width = width;
+    this.height = height;
+    this.scale = this.options.size / Math.max(width, height, 1);
+
+    const { depthFrom, depthMap } = this.options;
+    this.depthPixels =
+      depthFrom === "map" && depthMap
+        ? this._read(depthMap, width, height)
+        : null;
+
+    this._buildDistribution();
+  }
+
+  /**
+   * Draw one point.
+   * @param {object} out  { position: Vector3, normal: Vector3,
+   *   color: Color } — filled in place
+   * @param {() => number} [random=Math.random]
+   * @returns {object} out
+   */
+  sample(out, random = Math.random) {
+    const { width, height, scale } = this;
+    const pixel = this.indices[this._pick(random() * this.weight)];
+    const x = (pixel % width) + random();
+    const y = Math.floor(pixel / width) + random();
+
+    out.position.set(
+      (x - width / 2) * scale,
+      (height / 2 - y) * scale,
+      (this._depth(pixel) - 0.5) * this.options.depth,
+    );
+    out.normal.set(0, 0, 1);
+
+    const data = this.pixels.data;
+    out.color.setRGB(
+      data[pixel * 4] / 255,
+      data[pixel * 4 + 1] / 255,
+      data[pixel * 4 + 2] / 255,
+      THREE.SRGBColorSpace,
+    );
+    return out;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * RGBA bytes of an image, downscaled to MAX_IMAGE_SIZE or resized to
+   * width × height (depth maps match the image).
+   */
+  _read(image, width, height) {
+    if (image.data && image.data.length === image.width * image.height * 4) {
+      if (!width || (image.width === width && image.height === height)) {
+        return image;
+      }
+    }
+    const sourceWidth = image.naturalWidth || image.width || MAX_IMAGE_SIZE;
+    const sourceHeight = image.naturalHeight || image.height || MAX_IMAGE_SIZE;
+    if (!width) {
+      const scale = Math.min(
+        1,
+        MAX_IMAGE_SIZE / Math.max(sourceWidth, sourceHeight),
+      );
+      width = Math.max(1, Math.round(sourceWidth * scale));
+      height = Math.max(1, Math.round(sourceHeight * scale));
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    return { data, width, height };
+  }
+
+  _luminance(data, i) {
+    return (
+      (0.2126 * data[i * 4] +
+        0.7152 * data[i * 4 + 1] +
+        0.0722 * data[i * 4 + 2]) /
+      255
+    );
+  }
+
+  /** 0 (far) – 1 (near) for a pixel */
+  _depth(pixel) {
+    if (this.options.depth === 0) return 0.5;
+    if (this.depthPixels) return this._luminance(this.depthPixels.data, pixel);
+    return this._luminance(this.pixels.data, pixel);
+  }
+
+  /**
+   * True if a noticeable share of the image is see-through — a logo cut
+   * out on transparency, where dark artwork must still count
+   */
+  _hasTransparency() {
+    const { data } = this.pixels;
+    const count = this.width * this.height;
+    let transparent = 0;
+    for (let i = 0; i < count; i++) {
+      if (data[i * 4 + 3] < 128) transparent++;
+    }
+    return transparent > count * 0.01;
+  }
+
+  /** Cumulative weights of the pixels above the threshold */
+  _buildDistribution() {
+    const { data } = this.pixels;
+    const { threshold } = this.options;
+    let { density } = this.options;
+    if (density === "auto") {
+      density = this._hasTransparency() ? "opacity" : "luminance";
+    }
+    const indices = [];
+    const cumulative = [];
+    let total = 0;
+
+    for (let i = 0; i < this.width * this.height; i++) {
+      let weight = data[i * 4 + 3] / 255;
+      if (density === "luminance") weight *= this._luminance(data, i);
+      if (weight <= threshold) continue;
+      total += weight;
+      indices.push(i);
+      cumulative.push(total);
+    }
+
+    this.indices = Uint32Array.from(indices);
+    this.cumulative = Float64Array.from(cumulative);
+    this.weight = total; // 0 = nothing to sample
+  }
+
+  /** Binary search for the pixel whose cumulative weight passes `r` */
+  _pick(r) {
+    const cumulative = this.cumulative;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < r) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+}
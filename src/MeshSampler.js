@@ -0,0 +1,292 @@
+/**
+ * MeshSampler — Uniform random points on a model's surface.
+ * Triangles of every mesh are weighted by their world-space area, and each
+ * sample interpolates the normal, UV and vertex colour barycentrically.
+ * Colours follow glTF's base colour: material colour × vertex colour ×
+ * base-colour texture.
+ */
+import * as THREE from "three";
+
+// Texture lookups are read from a copy no larger than this per side
+const MAX_TEXTURE_SIZE = 1024;
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _ab = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+const _uv = new THREE.Vector2();
+const _color = new THREE.Color();
+
+export class MeshSampler {
+  /** @param {THREE.Object3D} root  world matrices must be up to date */
+  constructor(root) {
+    this.parts = []; // { mesh, geometry, material, start, count }
+    this.cumulativeArea = null; // Float64Array, one entry per triangle
+    this.triangleParts = null; // Uint32Array, part index per triangle
+    this.area = 0;
+
+    this._pixels = new Map(); // texture → { data, width, height } | null
+    this._collect(root);
+    this._buildDistribution();
+  }
+
+  get triangleCount() {
+    return this.cumulativeArea ? this.cumulativeArea.length : 0;
+  }
+
+  /**
+   * Draw one surface point.
+   * @param {object} out  { position: Vector3, normal: Vector3,
+   *   uv: Vector2, color: Color } — filled in place (world space). With
+   *   `face` ({ a, b, c }) and `barycoord` (Vector3) it also gets the
+   *   triangle's vertex indices, their weights and its `mesh`.
+   * @param {() => number} [random=Math.random]
+   * @returns {object} out
+   */
+  sample(out, random = Math.random) {
+    const triangle = this._pickTriangle(random() * this.area);
+    const part = this.parts[this.triangleParts[triangle]];
+    const { geometry, mesh } = part;
+    const [ia, ib, ic] = this._triangleIndices(geometry, triangle - part.base);
+
+    // Uniform barycentric coordinates
+    let u = random();
+    let v = random();
+    if (u + v > 1) {
+      u = 1 - u;
+      v = 1 - v;
+    }
+    const w = 1 - u - v;
+
+    // Position (world space)
+    const position = geometry.attributes.position;
+    _a.fromBufferAttribute(position, ia);
+    _b.fromBufferAttribute(position, ib);
+    _c.fromBufferAttribute(position, ic);
+    out.position
+      .copy(_a)
+      .multiplyScalar(w)
+      .addScaledVector(_b, u)
+      .addScaledVector(_c, v)
+      .applyMatrix4(mesh.matrixWorld);
+
+    // Normal: interpolated vertex normals, else the face normal
+    const normal = geometry.attributes.normal;
+    if (normal) {
+      _a.fromBufferAttribute(normal, ia);
+      _b.fromBufferAttribute(normal, ib);
+      _c.fromBufferAttribute(normal, ic);
+      out.normal
+        .copy(_a)
+        .multiplyScalar(w)
+        .addScaledVector(_b, u)
+        .addScaledVector(_c, v);
+    } else {
+      _ab.subVectors(_b, _a);
+      _ac.subVectors(_c, _a);
+      out.normal.crossVectors(_ab, _ac);
+    }
+    out.normal.transformDirection(mesh.matrixWorld);
+
+    // UV
+    const uv = geometry.attributes.uv;
+    if (uv) {
+      const x = uv.getX(ia) * w + uv.getX(ib) * u + uv.getX(ic) * v;
+      const y = uv.getY(ia) * w + uv.getY(ib) * u + uv.getY(ic) * v;
+      out.uv.set(x, y);
+    } else {
+      out.uv.set(0, 0);
+    }
+
+    this._sampleColor(out.color, part, [ia, ib, ic], [w, u, v], uv && out.uv);
+
+    if (out.face) {
+      out.mesh = mesh;
+      out.face.a = ia;
+      out.face.b = ib;
+      out.face.c = ic;
+      out.barycoord.set(w, u, v);
+    }
+    return out;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  /** One part per mesh, or per material group for multi-material meshes */
+  _collect(root) {
+    let base = 0;
+    root.traverse((child) => {
+      if (!child.isMesh || !child.geometry.attributes.position) return;
+      const geometry = child.geometry;
+      const total = this._triangleTotal(geometry);
+
+      const groups =
+        Array.isArray(child.material) && geometry.groups.length
+          ? geometry.groups
+          : [{ start: 0, count: total * 3, materialIndex: 0 }];
+
+      for (const group of groups) {
+        const start = Math.floor(group.start / 3);
+        const count = Math.min(Math.floor(group.count / 3), total - start);
+        if (count <= 0) continue;
+        const material = Array.isArray(child.material)
+          ? child.material[group.materialIndex]
+          : child.material;
+        // `base` maps global triangle numbers back to this geometry's
+        this.parts.push({
+          mesh: child,
+          geometry,
+          material,
+          start,
+          count,
+          base: base - start,
+        });
+        base += count;
+      }
+    });
+  }
+
+  _triangleTotal(geometry) {
+    const count = geometry.index
+      ? geometry.index.count
+      : geometry.attributes.position.count;
+    return Math.floor(count / 3);
+  }
+
+  _triangleIndices(geometry, triangle) {
+    const index = geometry.index;
+    const i = triangle * 3;
+    return index
+      ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)]
+      : [i, i + 1, i + 2];
+  }
+
+  /** Cumulative world-space triangle areas across all parts */
+  _buildDistribution() {
+    const total = this.parts.reduce((sum, part) => sum + part.count, 0);
+    this.cumulativeArea = new Float64Array(total);
+    this.triangleParts = new Uint32Array(total);
+
+    let n = 0;
+    let area = 0;
+    this.parts.forEach((part, p) => {
+      const position = part.geometry.attributes.position;
+      const matrix = part.mesh.matrixWorld;
+      for (let t = part.start; t < part.start + part.count; t++) {
+        const [ia, ib, ic] = this._triangleIndices(part.geometry, t);
+        _a.fromBufferAttribute(position, ia).applyMatrix4(matrix);
+        _b.fromBufferAttribute(position, ib).applyMatrix4(matrix);
+        _c.fromBufferAttribute(position, ic).applyMatrix4(matrix);
+        _ab.subVectors(_b, _a);
+        _ac.subVectors(_c, _a);
+        area += _ab.cross(_ac).length() * 0.5;
+
+        this.cumulativeArea[n] = area;
+        this.triangleParts[n] = p;
+        n++;
+      }
+    });
+    this.area = area;
+  }
+
+  /** Binary search for the triangle whose cumulative area passes `r` */
+  _pickTriangle(r) {
+    const cumulative = this.cumulativeArea;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < r) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * material.color × vertex colour × base-colour texel, linear RGB.
+   * `uv` is the interpolated UV, or null if the geometry has none.
+   */
+  _sampleColor(target, part, indices, weights, uv) {
+    const { material, geometry } = part;
+    if (material && material.color) target.copy(material.color);
+    else target.setRGB(1, 1, 1);
+
+    const colors = geometry.attributes.color;
+    if (colors && material && material.vertexColors) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let k = 0; k < 3; k++) {
+        r += colors.getX(indices[k]) * weights[k];
+        g += colors.getY(indices[k]) * weights[k];
+        b += colors.getZ(indices[k]) * weights[k];
+      }
+      target.r *= r;
+      target.g *= g;
+      target.b *= b;
+    }
+
+    const map = material && material.map;
+    if (map && uv) {
+      const pixels = this._texturePixels(map);
+      if (pixels) {
+        map.transformUv(_uv.copy(uv));
+        const x = Math.min(pixels.width - 1, Math.floor(_uv.x * pixels.width));
+        const y = Math.min(
+          pixels.height - 1,
+          Math.floor(_uv.y * pixels.height),
+        );
+        const i = (y * pixels.width + x) * 4;
+        _color.setRGB(
+          pixels.data[i] / 255,
+          pixels.data[i + 1] / 255,
+          pixels.data[i + 2] / 255,
+          map.colorSpace === THREE.SRGBColorSpace
+            ? THREE.SRGBColorSpace
+            : THREE.LinearSRGBColorSpace,
+        );
+        target.multiply(_color);
+      }
+    }
+    return target;
+  }
+
+  /** RGBA bytes of a texture's image (downscaled), or null if unreadable */
+  _texturePixels(texture) {
+    if (this._pixels.has(texture)) return this._pixels.get(texture);
+
+    let pixels = null;
+    const image = texture.image;
+    try {
+      if (
+        image &&
+        image.data &&
+        image.data.length === image.width * image.height * 4
+      ) {
+        pixels = { data: image.data, width: image.width, height: image.height };
+      } else if (image && image.width && image.height) {
+        const scale = Math.min(
+          1,
+          MAX_TEXTURE_SIZE / Math.max(image.width, image.height),
+        );
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        pixels = { data, width: canvas.width, height: canvas.height };
+      }
+      texture.updateMatrix();
+    } catch (error) {
+      // Compressed or cross-origin images can't be read back
+      console.warn("Cannot read texture for particle colours:", error);
+      pixels = null;
+    }
+    this._pixels.set(texture, pixels);
+    return pixels;
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * MidiController — Web MIDI input for live parameter control.
+ * - MIDI learn: bind any CC to a named target, any note to an action
+ * - Note-on triggers with velocity
+ * - MIDI clock (24 ppqn) tempo / beat-phase that can drive the visuals
+ */
+
+const CLOCK_PPQN = 24;
+
+/* -------------------------------------------------------------------- */
+/*  MIDI clock                                                           */
+/* -------------------------------------------------------------------- */
+
+export class MidiClock {
+  constructor(beatsPerBar = 4) {
+    this.beatsPerBar = beatsPerBar;
+    this.reset();
+  }
+
+  reset() {
+    this.ticks = 0; // since the last Start / Song Position
+    this.lastTickTime = 0;
+    this.tickInterval = 0; // seconds, smoothed
+    this.bpm = 0;
+    this.running = false;
+  }
+
+  /** Clock is usable if it was started and ticks arrived recently */
+  get isRunning() {
+    return (
+      this.running &&
+      this.bpm > 0 &&
+      performance.now() * 0.001 - this.lastTickTime < 0.5
+    );
+  }
+
+  /** Whole beats since Start (increments on every quarter note) */
+  get beatCount() {
+    return Math.floor(this.ticks / CLOCK_PPQN);
+  }
+
+  /** 0–1 within the current beat, interpolated between ticks */
+  get beatPhase() {
+    const sinceTick = performance.now() * 0.001 - this.lastTickTime;
+    const fraction =
+      this.tickInterval > 0 ? Math.min(1, sinceTick / this.tickInterval) : 0;
+    return ((this.ticks % CLOCK_PPQN) + fraction) / CLOCK_PPQN;
+  }
+
+  /** 0–1 within the current bar */
+  get barPhase() {
+    return (
+      ((this.beatCount % this.beatsPerBar) + this.beatPhase) / this.beatsPerBar
+    );
+  }
+
+  tick(time) {
+    if (this.lastTickTime > 0) {
+      const interval = time - this.lastTickTime;
+      // Ignore gaps (clock paused) when estimating tempo
+      if (interval > 0 && interval < 0.25) {
+        this.tickInterval = this.tickInterval
+          ? this.tickInterval * 0.9 + interval * 0.1
+          : interval;
+        this.bpm = 60 / (this.tickInterval * CLOCK_PPQN);
+      }
+    }
+    this.lastTickTime = time;
+    if (this.running) this.ticks++;
+  }
+
+  start() {
+    this.ticks = 0;
+    this.running = true;
+  }
+
+  continue() {
+    this.running = true;
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  /** Song Position Pointer is counted in sixteenth notes (6 ticks each) */
+  setSongPosition(sixteenths) {
+    this.ticks = sixteenths * 6;
+  }
+}
+
+/* -------------------------------------------------------------------- */
+/*  Controller                                                           */
+/* -------------------------------------------------------------------- */
+
+export class MidiController {
+  constructor() {
+    this.access = null;
+    this.clock = new MidiClock();
+
+    // "channel:number" → target / action name
+    this.mappings = { cc: {}, notes: {} };
+    this.learning = null; // { kind: "cc" | "note", target }
+
+    // Callbacks
+    this.onControl = null; // (target, value 0–1) => void
+    this.onTrigger = null; // (action, velocity 0–1) => void
+    this.onLearned = null; // (kind, key, target) => void
+    this.onDevicesChange = null; // (inputs[]) => void
+  }
+
+  static get isSupported() {
+    return typeof navigator !== "undefined" && !!navigator.requestMIDIAccess;
+  }
+
+  async connect() {
+    if (!MidiController.isSupported) {
+      throw new Error("Web MIDI is not supported in this browser");
+    }
+    this.access = await navigator.requestMIDIAccess();
+    this._bindInputs();
+    this.access.addEventListener("statechange", () => this._bindInputs());
+    return this.getInputs();
+  }
+
+  getInputs() {
+    return this.access ? Array.from(this.access.inputs.values()) : [];
+  }
+
+  /** Bind the next CC (kind "cc") or note (kind "note") to `target` */
+  learn(target, kind = "cc") {
+    this.learning = { kind, target };
+  }
+
+  cancelLearn() {
+    this.learning = null;
+  }
+
+  /** Plain, JSON-serialisable copy of the mappings */
+  getMappings() {
+    return {
+      cc: { ...this.mappings.cc },
+      notes: { ...this.mappings.notes },
+    };
+  }
+
+  setMappings(mappings) {
+    this.mappings = {
+      cc: { ...(mappings?.cc || {}) },
+      notes: { ...(mappings?.notes || {}) },
+    };
+  }
+
+  clearMappings() {
+    this.mappings = { cc: {}, notes: {} };
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _bindInputs() {
+    for (const input of this.access.inputs.values()) {
+      // Assigning (rather than addEventListener) avoids double binding
+      input.onmidimessage = (e) => this._handleMessage(e.data);
+    }
+    if (this.onDevicesChange) this.onDevicesChange(this.getInputs());
+  }
+
+  _handleMessage(data) {
+    const [status, a, b] = data;
+
+    // System real-time (clock)
+    switch (status) {
+      case 0xf8:
+        this.clock.tick(performance.now() * 0.001);
+        return;
+      case 0xfa:
+        this.clock.start();
+        return;
+      case 0xfb:
+        this.clock.continue();
+        return;
+      case 0xfc:
+        this.clock.stop();
+        return;
+      case 0xf2:
+        this.clock.setSongPosition(a | (b << 7));
+        return;
+    }
+
+    const type = status & 0xf0;
+    const key = `${status & 0x0f}:${a}`;
+
+    if (type === 0xb0) {
+      this._handleControl(key, b / 127);
+    } else if (type === 0x90 && b > 0) {
+      this._handleNote(key, b / 127);
+    }
+  }
+
+  _handleControl(key, value) {
+    if (this.learning && this.learning.kind === "cc") {
+      this._learn("cc", key);
+      return;
+    }
+    const target = this.mappings.cc[key];
+    if (target && this.onControl) this.onControl(target, value);
+  }
+
+  _handleNote(key, velocity) {
+    if (this.learning && this.learning.kind === "note") {
+      this._learn("notes", key);
+      return;
+    }
+    const action = this.mappings.notes[key];
+    if (action && this.onTrigger) this.onTrigger(action, velocity);
+  }
+
+  _learn(group, key) {
+    const { target } = this.learning;
+    this.learning = null;
+
+    // One control per target: drop any previous binding
+    for (const [k, t] of Object.entries(this.mappings[group])) {
+      if (t === target) delete this.mappings[group][k];
+    }
+    this.mappings[group][key] = target;
+    if (this.onLearned) this.onLearned(group, key, target);
+  }
+}
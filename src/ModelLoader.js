@@ -0,0 +1,237 @@
+/**
+ * ModelLoader — Reads the geometry and point-cloud formats the particles
+ * can take their shape from: glTF/GLB (incl. Draco and Meshopt
+ * compression), OBJ, FBX, STL, PLY, PCD and plain-text XYZ/PTS scans. The
+ * format comes from the file extension, or is sniffed from the content
+ * when the extension is missing or unknown. Point clouds load as
+ * THREE.Points with per-point colours.
+ */
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { PCDLoader } from "three/examples/jsm/loaders/PCDLoader.js";
+import { MeshoptDecoder } from "three/examples/jsm/libs/meshopt_decoder.module.js";
+import dracoWrapperUrl from "three/examples/jsm/libs/draco/gltf/draco_wasm_wrapper.js?url";
+import dracoWasmUrl from "three/examples/jsm/libs/draco/gltf/draco_decoder.wasm?url";
+import dracoJsUrl from "three/examples/jsm/libs/draco/gltf/draco_decoder.js?url";
+
+// Draco's decoder ships with three and is served with the app, fetched the
+// first time it's needed. DRACOLoader asks for these files by name.
+const DRACO_DECODER_FILES = {
+  "draco_wasm_wrapper.js": dracoWrapperUrl,
+  "draco_decoder.wasm": dracoWasmUrl,
+  "draco_decoder.js": dracoJsUrl, // without WebAssembly
+};
+
+const FORMATS_BY_EXTENSION = {
+  glb: "gltf",
+  gltf: "gltf",
+  obj: "obj",
+  fbx: "fbx",
+  stl: "stl",
+  ply: "ply",
+  pcd: "pcd",
+  xyz: "xyz",
+  pts: "xyz",
+};
+
+export class ModelLoader {
+  constructor() {
+    this._gltfLoader = null; // created on first use (Draco setup)
+  }
+
+  /**
+   * Load a model or point cloud.
+   * @param {string | File} source  a URL or a picked file
+   * @returns {Promise<{model: THREE.Object3D, animations: THREE.AnimationClip[]}>}
+   */
+  async load(source) {
+    const isFile = source instanceof File;
+    const name = isFile ? source.name : source.split(/[?#]/)[0];
+    const buffer = isFile
+      ? await source.arrayBuffer()
+      : await this._fetch(source);
+    const path = isFile ? "" : THREE.LoaderUtils.extractUrlBase(name);
+    return this.parse(buffer, name, path);
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer  file content
+   * @param {string} name  file name or URL, for its extension
+   * @param {string} [path]  base URL of external resources (glTF, FBX)
+   */
+  async parse(buffer, name, path = "") {
+    switch (this.detectFormat(buffer, name)) {
+      case "gltf": {
+        const gltf = await this._getGLTFLoader().parseAsync(buffer, path);
+        return { model: gltf.scene, animations: gltf.animations };
+      }
+      case "fbx": {
+        const model = new FBXLoader().parse(buffer, path);
+        return { model, animations: model.animations };
+      }
+      case "obj":
+        return this._static(new OBJLoader().parse(this._text(buffer)));
+      case "stl":
+        return this._static(this._mesh(new STLLoader().parse(buffer)));
+      case "ply": {
+        // Scans are PLY files without faces — keep them as point clouds
+        const geometry = new PLYLoader().parse(buffer);
+        return this._static(
+          geometry.index === null
+            ? this._points(geometry)
+            : this._mesh(geometry),
+        );
+      }
+      case "pcd":
+        return this._static(new PCDLoader().parse(buffer));
+      case "xyz":
+        return this._static(this._parseXYZ(this._text(buffer)));
+      default:
+        throw new Error(`Unrecognised model format: ${name}`);
+    }
+  }
+
+  /**
+   * The format key for a file: by extension, else by its first bytes.
+   * @returns {string | null}
+   */
+  detectFormat(buffer, name = "") {
+    const extension = name.split(".").pop().toLowerCase();
+    return FORMATS_BY_EXTENSION[extension] || this._sniff(buffer);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  async _fetch(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}: ${url}`);
+    }
+    return response.arrayBuffer();
+  }
+
+  _getGLTFLoader() {
+    if (!this._gltfLoader) {
+      const manager = new THREE.LoadingManager();
+      manager.setURLModifier((url) => DRACO_DECODER_FILES[url] || url);
+      const draco = new DRACOLoader(manager);
+      this._gltfLoader = new GLTFLoader()
+        .setDRACOLoader(draco)
+        .setMeshoptDecoder(MeshoptDecoder);
+    }
+    return this._gltfLoader;
+  }
+
+  _text(buffer) {
+    return new TextDecoder().decode(buffer);
+  }
+
+  /** Guess the format from magic numbers and the shape of the header */
+  _sniff(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const head = new TextDecoder().decode(bytes.subarray(0, 1024));
+
+    if (head.startsWith("glTF")) return "gltf";
+    if (head.startsWith("Kaydara FBX Binary") || head.startsWith("; FBX")) {
+      return "fbx";
+    }
+    if (/^ply\s/.test(head)) return "ply";
+    // Binary STL: 80-byte header, triangle count, 50 bytes per triangle
+    if (
+      bytes.length >= 84 &&
+      84 + new DataView(buffer).getUint32(80, true) * 50 === bytes.length
+    ) {
+      return "stl";
+    }
+    if (/^\s*solid\s/.test(head) && head.includes("facet")) return "stl";
+    if (/^\s*\{/.test(head) && head.includes('"asset"')) return "gltf";
+    if (/^(#[^\n]*\n)*\s*(VERSION|FIELDS)\s/.test(head)) return "pcd";
+    if (/^(v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(head)) return "obj";
+    if (/^[\s\d.,;eE+-]+$/.test(head.replace(/^(#|\/\/)[^\n]*$/gm, ""))) {
+      return "xyz";
+    }
+    return null;
+  }
+
+  _static(model) {
+    return { model, animations: [] };
+  }
+
+  _mesh(geometry) {
+    if (!geometry.attributes.normal) geometry.computeVertexNormals();
+    const vertexColors = Boolean(geometry.attributes.color);
+    const material = new THREE.MeshStandardMaterial({ vertexColors });
+    return new THREE.Mesh(geometry, material);
+  }
+
+  _points(geometry) {
+    const vertexColors = Boolean(geometry.attributes.color);
+    const material = new THREE.PointsMaterial({ size: 0.01, vertexColors });
+    return new THREE.Points(geometry, material);
+  }
+
+  /**
+   * Plain-text scans, one point per line: "x y z", "x y z r g b" (XYZ) or
+   * "x y z intensity r g b" (PTS). Colours may be 0–1 or 0–255; a lone
+   * count on the first line (PTS) and # or // comments are skipped.
+   */
+  _parseXYZ(text) {
+    const positions = [];
+    const colors = [];
+    let colorScale = 1;
+
+    for (const line of text.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith("//")) {
+        continue;
+      }
+      const values = trimmed.split(/[\s,;]+/).map(Number);
+      if (values.length < 3 || values.slice(0, 3).some(Number.isNaN)) continue;
+      positions.push(values[0], values[1], values[2]);
+
+      const rgb =
+        values.length >= 7
+          ? values.slice(4, 7)
+          : values.length === 6
+            ? values.slice(3, 6)
+            : null;
+      if (rgb) {
+        colors.push(...rgb);
+        if (Math.max(...rgb) > 1) colorScale = 255;
+      }
+    }
+    if (positions.length === 0) throw new Error("No points in the file");
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(positions, 3),
+    );
+
+    // Only colour the cloud if every point had one
+    if (colors.length === positions.length) {
+      const color = new THREE.Color();
+      for (let i = 0; i < colors.length; i += 3) {
+        color.setRGB(
+          colors[i] / colorScale,
+          colors[i + 1] / colorScale,
+          colors[i + 2] / colorScale,
+          THREE.SRGBColorSpace,
+        );
+        color.toArray(colors, i);
+      }
+      geometry.setAttribute(
+        "color",
+        new THREE.Float32BufferAttribute(colors, 3),
+      );
+    }
+    return this._points(geometry);
+  }
+}
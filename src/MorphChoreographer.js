@@ -0,0 +1,101 @@
+/**
+ * MorphChoreographer — Steps a ParticleSystem through a sequence of named
+ * morph targets (A → B → C …), each with its own duration and easing.
+ * Steps advance manually, every N beats or bars, or on a fixed schedule.
+ */
+export class MorphChoreographer {
+  constructor(particleSystem) {
+    this.particleSystem = particleSystem;
+    this.steps = []; // { target, duration, easing }
+    this.index = -1;
+    this.loop = true;
+
+    this.trigger = "manual"; // "manual" | "beat" | "bar" | "schedule"
+    this.every = 4; // beats, bars or seconds between steps
+
+    // Callbacks
+    this.onStep = null; // (step, index) => void
+
+    this._counted = 0; // beats / bars / seconds since the last step
+    this._lastTime = null;
+  }
+
+  get current() {
+    return this.steps[this.index] || null;
+  }
+
+  /**
+   * Append a step.
+   * @param {string} target  name registered with ParticleSystem.addTarget
+   * @param {object} [options]
+   * @param {number} [options.duration=2]  seconds
+   * @param {string} [options.easing="easeInOutCubic"]  key of EASINGS
+   * @returns {number} index of the new step
+   */
+  add(target, { duration = 2, easing = "easeInOutCubic" } = {}) {
+    this.steps.push({ target, duration, easing });
+    return this.steps.length - 1;
+  }
+
+  remove(index) {
+    this.steps.splice(index, 1);
+    if (index < this.index) this.index--;
+    else if (index === this.index) this.index = -1;
+  }
+
+  /** Drop every step that morphs to `target` (e.g. when it is unloaded) */
+  removeTarget(target) {
+    for (let i = this.steps.length - 1; i >= 0; i--) {
+      if (this.steps[i].target === target) this.remove(i);
+    }
+  }
+
+  clear() {
+    this.steps = [];
+    this.index = -1;
+  }
+
+  /** Start the transition into step `index` */
+  goTo(index) {
+    const step = this.steps[index];
+    if (!step) return;
+    this.particleSystem.morphTo(step.target, step);
+    this.index = index;
+    this._counted = 0;
+    if (this.onStep) this.onStep(step, index);
+  }
+
+  next() {
+    if (this.steps.length === 0) return;
+    let i = this.index + 1;
+    if (i >= this.steps.length) {
+      if (!this.loop) return;
+      i = 0;
+    }
+    this.goTo(i);
+  }
+
+  previous() {
+    if (this.steps.length === 0) return;
+    const i = this.index > 0 ? this.index - 1 : this.steps.length - 1;
+    this.goTo(i);
+  }
+
+  /**
+   * Call once per frame with the same audioData ParticleSystem receives;
+   * advances the sequence according to `trigger`.
+   */
+  update(audioData) {
+    const time = audioData.time ?? performance.now() * 0.001;
+    const dt = this._lastTime === null ? 0 : Math.max(0, time - this._lastTime);
+    this._lastTime = time;
+
+    if (this.trigger === "manual" || this.steps.length === 0) return;
+
+    if (this.trigger === "beat" && audioData.isBeat) this._counted++;
+    else if (this.trigger === "bar" && audioData.isDownbeat) this._counted++;
+    else if (this.trigger === "schedule") this._counted += dt;
+
+    if (this._counted >= this.every) this.next();
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * ParticleEmitter — Cinema 4D-style emitter for ParticleSystem's emitter
+ * mode. Spawns particles from a point, a sphere or the model's surface,
+ * launched along the emission normal with a lifespan, at a birth rate
+ * that audio can raise (level) and punctuate with bursts (beats).
+ */
+import * as THREE from "three";
+import { randomDirection } from "./Random.js";
+
+const _direction = new THREE.Vector3();
+const _random = new THREE.Vector3();
+
+export class ParticleEmitter {
+  constructor() {
+    this.shape = "sphere"; // "point" | "sphere" | "surface"
+    this.position = new THREE.Vector3();
+    this.direction = new THREE.Vector3(0, 1, 0); // point emitters
+    this.radius = 1.5; // sphere emitters
+
+    this.rate = 3000; // particles per second
+    this.burst = 2000; // extra particles on every beat
+    this.speed = 1.5; // initial speed (units / s) along the normal
+    this.spread = 0.25; // 0 = along the normal, 1 = any direction
+    this.lifespan = 3; // seconds
+    this.lifespanVariance = 0.3; // ± fraction of lifespan
+    this.audioRate = 1.5; // how much the audio level raises the rate
+
+    this._pending = 0; // fractional births carried to the next frame
+  }
+
+  /**
+   * Particles to spawn this frame.
+   * @param {number} dt  seconds since the last frame
+   * @param {object} audioData  audioLevel, isBeat
+   */
+  births(dt, audioData) {
+    const rate = this.rate * (1 + (audioData.audioLevel || 0) * this.audioRate);
+    this._pending += rate * dt;
+    if (audioData.isBeat) this._pending += this.burst;
+
+    const count = Math.floor(this._pending);
+    this._pending -= count;
+    return count;
+  }
+
+  /**
+   * Seconds a new particle lives.
+   * @param {() => number} [random=Math.random]
+   */
+  lifetime(random = Math.random) {
+    const variance = (random() * 2 - 1) * this.lifespanVariance;
+    return Math.max(0.05, this.lifespan * (1 + variance));
+  }
+
+  /**
+   * Birth position and velocity of one particle.
+   * @param {object} out  { position: Vector3, velocity: Vector3 }
+   * @param {object | null} surface  { positions, normals } samples of the
+   *   model, used by "surface" emitters (falls back to the sphere)
+   * @param {number} [speedScale=1]  e.g. louder audio launches faster
+   * @param {() => number} [random=Math.random]
+   */
+  emit(out, surface, speedScale = 1, random = Math.random) {
+    if (this.shape === "surface" && surface) {
+      const i = Math.floor(random() * (surface.positions.length / 3));
+      out.position.fromArray(surface.positions, i * 3);
+      _direction.fromArray(surface.normals, i * 3);
+      if (_direction.lengthSq() === 0) randomDirection(_direction, random);
+    } else if (this.shape === "point") {
+      out.position.copy(this.position);
+      _direction.copy(this.direction);
+    } else {
+      randomDirection(_direction, random);
+      out.position.copy(this.position).addScaledVector(_direction, this.radius);
+    }
+
+    // Blend towards a random direction by `spread`
+    randomDirection(_random, random);
+    _direction.normalize().lerp(_random, this.spread).normalize();
+    out.velocity.copy(_direction).multiplyScalar(this.speed * speedScale);
+    return out;
+  }
+}
@@ -2,78 +2,93 @@
    C4D-Style Particle System (Plexus / Node Based)
    - Sharp, distinct particles (Nodes)
    - Dynamic line connections (Edges)
-   - Morphing between Scatter and Model states
+   - Morphing between Scatter and Model states (or text, images)
+   - Procedural scatter layouts (sphere, torus, galaxy, grid…)
+   - Emitter mode: particles are born, age and die
+   - Pluggable force fields (attractors, vortices, wind, drag, noise)
    - Audio-reactive turbulence and connectivity
+   - GPU (render-to-texture) simulation with a CPU fallback
+   - Seeded: the same seed regenerates the same scene
    ===================================================================== */
 
 import * as THREE from "three";
-import { createNoise3D } from "simplex-noise";
-
-// Perlin noise instance
-const noise3D = createNoise3D();
-
-function computeCurl(x, y, z) {
-  const eps = 0.0001;
-
-  // Find rate of change in X
-  const n1 = noise3D(x, y + eps, z);
-  const n2 = noise3D(x, y - eps, z);
-  const a = (n1 - n2) / (2 * eps);
-
-  const n3 = noise3D(x, y, z + eps);
-  const n4 = noise3D(x, y, z - eps);
-  const b = (n3 - n4) / (2 * eps);
-
-  // Find rate of change in Y
-  const n5 = noise3D(x + eps, y, z);
-  const n6 = noise3D(x - eps, y, z);
-  const c = (n5 - n6) / (2 * eps);
-
-  const n7 = noise3D(x, y, z + eps);
-  const n8 = noise3D(x, y, z - eps);
-  const d = (n7 - n8) / (2 * eps);
-
-  // Find rate of change in Z
-  const n9 = noise3D(x + eps, y, z);
-  const n10 = noise3D(x - eps, y, z);
-  const e = (n9 - n10) / (2 * eps);
-
-  const n11 = noise3D(x, y + eps, z);
-  const n12 = noise3D(x, y - eps, z);
-  const f = (n11 - n12) / (2 * eps);
-
-  // Curl
-  return new THREE.Vector3(a - d, b - e, c - f); // Wait, standard curl is (Ry - Qz, Pz - Rx, Qx - Py)
-  // Let's use a simpler approximation based on partials of 3 potential fields.
-  // But for single noise field potential (0, 0, n) or similar, it's easier.
-  // Actually, standard way is 3 noise fields (n1, n2, n3).
-  // For performance, let's use the potential method with 3 cheap noise lookups or just 1.
+import { GPUParticleSimulation } from "./GPUParticleSimulation.js";
+import { MeshSampler } from "./MeshSampler.js";
+import { SurfaceTracker } from "./SurfaceTracker.js";
+import { PlexusLines } from "./PlexusLines.js";
+import { createRandom } from "./Random.js";
+import { SCATTER_LAYOUTS } from "./ScatterLayouts.js";
+import { TextSampler } from "./TextSampler.js";
+import { ImageSampler } from "./ImageSampler.js";
+import { ParticleEmitter } from "./ParticleEmitter.js";
+import { ForceField, setNoiseSeed } from "./ForceField.js";
+import { EASINGS } from "./Easing.js";
+
+// Pointer force per unit of pointer.strength, by mode. Repel matches the
+// original radius-4 mouse repulsor.
+const POINTER_STRENGTH = { repel: 4, attract: 1.5, swirl: 3 };
+
+// Seconds for pointer paint to fade to ~37%
+const PAINT_FADE_TIME = 1.5;
+
+const _target = new THREE.Vector3();
+
+// Field pushes are rest-shape offsets in morph mode; emitted particles get
+// them as accelerations, scaled to match
+const EMITTER_FORCE_SCALE = 20;
+
+/** Spread the low 10 bits of n so there are two zero bits between each */
+function part1By2(n) {
+  n &= 0x3ff;
+  n = (n | (n << 16)) & 0x030000ff;
+  n = (n | (n << 8)) & 0x0300f00f;
+  n = (n | (n << 4)) & 0x030c30c3;
+  n = (n | (n << 2)) & 0x09249249;
+  return n;
 }
 
-// Better Curl Noise implementation using 3 noise values (potential field)
-function curlNoise(p) {
-  const e = 0.1;
-
-  const dx = new THREE.Vector3(e, 0.0, 0.0);
-  const dy = new THREE.Vector3(0.0, e, 0.0);
-  const dz = new THREE.Vector3(0.0, 0.0, e);
-
-  const p_x0 = noise3D(p.x - e, p.y, p.z);
-  const p_x1 = noise3D(p.x + e, p.y, p.z);
-
-  const p_y0 = noise3D(p.x, p.y - e, p.z);
-  const p_y1 = noise3D(p.x, p.y + e, p.z);
-
-  const p_z0 = noise3D(p.x, p.y, p.z - e);
-  const p_z1 = noise3D(p.x, p.y, p.z + e);
+/**
+ * Order points along a Morton (Z-order) curve through their bounding box.
+ * Every morph target is stored in this order, so particle i lands at the
+ * same relative place in each shape and transitions stay readable.
+ * @returns {Uint32Array} order[k] = index of the k-th point
+ */
+function spatialOrder(positions) {
+  const count = positions.length / 3;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count * 3; i++) {
+    const axis = i % 3;
+    if (positions[i] < min[axis]) min[axis] = positions[i];
+    if (positions[i] > max[axis]) max[axis] = positions[i];
+  }
+  const scale = min.map((m, axis) => 1023 / (max[axis] - m || 1));
+
+  // code * 2^21 + index stays exact in a double and sorts natively
+  const keys = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const x = Math.floor((positions[i * 3] - min[0]) * scale[0]);
+    const y = Math.floor((positions[i * 3 + 1] - min[1]) * scale[1]);
+    const z = Math.floor((positions[i * 3 + 2] - min[2]) * scale[2]);
+    const code = (part1By2(x) | (part1By2(y) << 1) | (part1By2(z) << 2)) >>> 0;
+    keys[i] = code * 2097152 + i;
+  }
+  keys.sort();
 
-  const x = p_y1 - p_y0 - (p_z1 - p_z0);
-  const y = p_z1 - p_z0 - (p_x1 - p_x0);
-  const z = p_x1 - p_x0 - (p_y1 - p_y0);
+  const order = new Uint32Array(count);
+  for (let k = 0; k < count; k++) order[k] = keys[k] % 2097152;
+  return order;
+}
 
-  const v = new THREE.Vector3(x, y, z);
-  v.normalize();
-  return v;
+/** Copy of `array` (stride values per item) rearranged by `order` */
+function reorder(array, order, stride) {
+  const out = new array.constructor(array.length);
+  for (let k = 0; k < order.length; k++) {
+    for (let c = 0; c < stride; c++) {
+      out[k * stride + c] = array[order[k] * stride + c];
+    }
+  }
+  return out;
 }
 
 // ---------------------------------------------------------------------
@@ -84,37 +99,143 @@ const vertexShader = /* glsl */ `
     uniform float uTime;
     uniform float uBaseSize;
     uniform float uAudioScale;
+    uniform sampler2D uPositions;
+    uniform vec4 uSizeOverLife; // size at life 0, 1/3, 2/3, 1
+    uniform vec3 uLifeColors[3]; // birth, middle, death
+    uniform float uLifeColorMix; // 0 = particle colour, 1 = life colour
+    uniform vec3 uPaintColor;
+    uniform vec3 uSpectrum; // size, brightness, displacement at full level
+    uniform sampler2D uSpectrumLevels; // smoothed level per bin, row by row
+    uniform vec2 uSpectrumSize; // uSpectrumLevels width, height (texels)
+    uniform sampler2D uPrevPositions;
+    uniform vec3 uTrail; // length (frames of motion), fade, max length (px)
+    uniform vec2 uViewport; // drawing buffer size in pixels
     
     attribute float aSize;
     attribute vec3 aColor;
+    attribute vec2 aReference;
+    attribute float aLife; // 0 → 1 over the particle's life, < 0 = dead
+    attribute float aPaint; // pointer paint, 0 = own colour
+    attribute float aBin; // the frequency bin the particle follows
+    attribute vec3 aPrevious; // last frame's position (CPU trails)
     
     varying vec3 vColor;
     varying float vAlpha;
+    varying vec2 vStreak; // head offset from the sprite centre (-1..1 units)
+    varying float vDot; // head radius in the same units
+
+    float spectrumLevel; // this particle's bin level, set first in main()
+
+    // Loud bins push their particles away from the centre
+    vec3 displace(vec3 p) {
+        float radius = length(p);
+        return radius > 1e-4 ? p * (1.0 + spectrumLevel * uSpectrum.z / radius) : p;
+    }
+
+    float sizeOverLife(float life) {
+        float x = life * 3.0;
+        if (x < 1.0) return mix(uSizeOverLife.x, uSizeOverLife.y, x);
+        if (x < 2.0) return mix(uSizeOverLife.y, uSizeOverLife.z, x - 1.0);
+        return mix(uSizeOverLife.z, uSizeOverLife.w, min(x - 2.0, 1.0));
+    }
 
     void main() {
+        float row = floor(aBin / uSpectrumSize.x);
+        vec2 binUv = (vec2(aBin - row * uSpectrumSize.x, row) + 0.5) / uSpectrumSize;
+        spectrumLevel = texture2D(uSpectrumLevels, binUv).r;
+
         vColor = aColor;
-        
-        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        float lifeSize = 1.0;
+
+        // Emitter mode: hide the dead, shape the living by their age
+        #ifdef USE_LIFECYCLE
+            if (aLife < 0.0) {
+                gl_PointSize = 0.0;
+                gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+                vAlpha = 0.0;
+                return;
+            }
+            lifeSize = sizeOverLife(aLife);
+            vec3 lifeColor = aLife < 0.5
+                ? mix(uLifeColors[0], uLifeColors[1], aLife * 2.0)
+                : mix(uLifeColors[1], uLifeColors[2], aLife * 2.0 - 1.0);
+            vColor = mix(aColor, lifeColor, uLifeColorMix);
+        #endif
+        vColor = mix(vColor, uPaintColor, aPaint);
+        vColor *= 1.0 + spectrumLevel * uSpectrum.y;
+
+        // GPU simulation: positions come from the simulation texture
+        #ifdef USE_GPGPU
+            vec3 particlePosition = texture2D(uPositions, aReference).xyz;
+        #else
+            vec3 particlePosition = position;
+        #endif
+
+        vec4 mvPosition = modelViewMatrix * vec4(displace(particlePosition), 1.0);
         
         // Size with audio reactivity (sharp nodes don't need massive scaling)
-        float sizeScale = uBaseSize * aSize * (1.0 + uAudioScale * 0.5);
+        float sizeScale = uBaseSize * aSize * lifeSize * (1.0 + uAudioScale * 0.5);
+        sizeScale *= 1.0 + spectrumLevel * uSpectrum.x;
         gl_PointSize = sizeScale * (300.0 / -mvPosition.z);
         
         // Distance attenuation for alpha
         vAlpha = clamp(1.0 - (-mvPosition.z / 40.0), 0.2, 1.0);
         
         gl_Position = projectionMatrix * mvPosition;
+
+        // Motion streaks: stretch the sprite back along the screen-space
+        // motion since last frame, centred between head and tail
+        #ifdef USE_TRAILS
+            #ifdef USE_GPGPU
+                vec3 previousPosition = texture2D(uPrevPositions, aReference).xyz;
+            #else
+                vec3 previousPosition = aPrevious;
+            #endif
+            vec4 previousClip = projectionMatrix * modelViewMatrix * vec4(displace(previousPosition), 1.0);
+            vec2 motion = vec2(0.0);
+            if (previousClip.w > 0.0) {
+                vec2 ndcMotion = gl_Position.xy / gl_Position.w - previousClip.xy / previousClip.w;
+                motion = ndcMotion * 0.5 * uViewport * uTrail.x;
+                float motionLength = length(motion);
+                if (motionLength > uTrail.z) motion *= uTrail.z / motionLength;
+            }
+            float dotSize = max(gl_PointSize, 1.5); // thinner falls between pixels
+            float size = dotSize + length(motion);
+            gl_Position.xy -= motion / uViewport * gl_Position.w;
+            vStreak = motion / size;
+            vDot = dotSize / size;
+            gl_PointSize = size;
+        #endif
     }
 `;
 
 const fragmentShader = /* glsl */ `
+    uniform float uFlash;
+    uniform vec3 uTrail;
+
     varying vec3 vColor;
     varying float vAlpha;
+    varying vec2 vStreak;
+    varying float vDot;
 
     void main() {
         // Soft Gaussian glow instead of sharp circle
         float r = 0.0;
         vec2 cxy = 2.0 * gl_PointCoord - 1.0;
+        float trailFade = 1.0;
+
+        // Streak: the glow around the head → tail segment, fading along it
+        #ifdef USE_TRAILS
+            cxy.y = -cxy.y; // point coords run down the screen
+            vec2 axis = -2.0 * vStreak;
+            float axisLength = dot(axis, axis);
+            float t = axisLength > 0.0
+                ? clamp(dot(cxy - vStreak, axis) / axisLength, 0.0, 1.0)
+                : 0.0;
+            cxy = (cxy - vStreak - axis * t) / vDot;
+            trailFade = pow(max(1.0 - t, 1e-4), uTrail.y);
+        #endif
+
         r = dot(cxy, cxy);
         
         if (r > 1.0) discard;
@@ -122,14 +243,23 @@ const fragmentShader = /* glsl */ `
         // Soft falloff: (1-r^2)^2 or similar
         float strength = pow(1.0 - r, 3.0);
         
-        gl_FragColor = vec4(vColor, strength * vAlpha);
+        // Flash pushes every node towards white
+        vec3 color = mix(vColor, vec3(1.0), uFlash);
+
+        gl_FragColor = vec4(color, strength * vAlpha * trailFade);
     }
 `;
 
 export class ParticleSystem {
-  constructor(scene, camera) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {THREE.WebGLRenderer} [renderer]  enables the GPU simulation
+   */
+  constructor(scene, camera, renderer = null) {
     this.scene = scene;
     this.camera = camera;
+    this.renderer = renderer;
 
     // -----------------------------------------------------------------
     // Configuration
@@ -139,12 +269,63 @@ export class ParticleSystem {
       count: 100000,
       baseSize: 0.05, // Micro-particles
       turbulence: 0.1,
-      connectionDistance: 0, // Disabled
-      maxConnections: 0, // Disabled
-      autoMorph: false,
+      stereoAmount: 1.0, // how strongly the stereo image moves the cloud
+      connectionDistance: 0, // plexus line length, 0 = no lines
+      maxConnections: 4, // edges per node
+      plexusNodes: 1500, // particles that can carry lines
+      mode: "morph", // "morph" | "emitter"
+      gpu: true, // simulate on the GPU when the renderer supports it
+      seed: 1, // every random source derives from this
     };
-
-    this.mouse = new THREE.Vector3(9999, 9999, 0); // Start off-screen
+    this.random = Math.random; // seeded stream for runtime decisions
+
+    // Pointer interaction: world-space hits from PointerInteraction
+    this.pointers = []; // [{ point, direction }]
+    this.pointer = {
+      mode: "repel", // "repel" | "attract" | "swirl" | "paint"
+      radius: 4,
+      falloff: 1, // (1 - d / radius) ^ falloff
+      strength: 1,
+      color: new THREE.Color("#ffffff"), // paint colour
+    };
+    this.pointerFields = []; // ForceFields reused for pointer forces
+    this.paint = null; // per-particle paint amount 0–1, fades out
+    this.paintActive = false; // any paint left to fade
+
+    // Spectrum: every particle follows one frequency bin
+    this.spectrum = {
+      mapping: "height", // "height" | "distance" | "angle" | "random"
+      gain: 1,
+      decay: 0.25, // seconds for a bin level to fall to ~37%
+      size: 1.5, // extra size at full level
+      brightness: 1, // extra brightness at full level
+      displacement: 0.3, // outward push at full level (world units)
+    };
+    this.spectrumLevels = null; // smoothed 0–1 level per bin
+    this.spectrumTexture = null; // spectrumLevels for the vertex shader
+    this.binIndex = null; // aBin: bin per particle for spectrumLevels.length
+    this.binShape = null; // shape the keys were mapped on
+
+    // Animated models: their mixers play on the hidden model and the
+    // particles follow the posed surface
+    this.mixers = new Map(); // model → AnimationMixer
+    this.animation = {
+      speed: 1, // playback rate (the base rate when synced)
+      sync: "fixed", // "fixed" | "tempo" | "energy"
+      bpm: 120, // tempo the clips play at speed 1 when synced to tempo
+    };
+    this.animationRate = 1; // smoothed playback rate
+
+    // Motion streaks: sprites stretched back along their screen motion
+    this.trails = {
+      enabled: false,
+      length: 8, // frames of motion a streak spans
+      fade: 1.5, // tail opacity falloff (0 = even)
+      maxLength: 96, // longest streak in pixels
+      lengthAudio: null, // { feature, amount } scaling length
+      fadeAudio: null, // { feature, amount } scaling fade
+    };
+    this.previousPositions = null; // aPrevious: last frame (CPU trails)
 
     // -----------------------------------------------------------------
     // Data Structures
@@ -153,17 +334,65 @@ export class ParticleSystem {
     console.log("ParticleSystem constructor called");
     this.geometry = null;
     this.material = null;
+    this.gpuSimulation = null; // GPUParticleSimulation, null = CPU loop
     this.positions = null;
     this.colors = null;
     this.sizes = null;
     this.scatterPositions = null;
     this.modelPositions = null;
-    this.modelColors = null;
+    this.modelNormals = null;
+    this.modelColors = null; // colours inherited from the model
+    this.modelTracker = null; // SurfaceTracker of the formed model
+
+    // Colouring: "gradient" (start → end) or "model"
+    this.colorMode = "gradient";
+    this.gradient = [new THREE.Color("#ff0080"), new THREE.Color("#00d4ff")];
+    this.gradientMix = null; // per-particle 0–1 position along the gradient
 
     // Connection Lines
-    this.linesMesh = null;
-    this.linePositions = null;
-    this.lineColors = null;
+    this.plexus = null; // PlexusLines over a strided subset of particles
+
+    // Emitter mode: per-particle lifecycle
+    this.emitters = [new ParticleEmitter()];
+    this.velocities = null;
+    this.ages = null; // seconds since birth
+    this.lifespans = null;
+    this.life = null; // age / lifespan, -1 = dead (aLife attribute)
+    this.spawnCursor = 0; // where the search for a free particle resumes
+    this.lifeCurves = {
+      size: [0.2, 1, 1, 0], // size-over-life keys at 0, 1/3, 2/3, 1
+      colors: [
+        new THREE.Color("#ffffff"),
+        new THREE.Color("#ffd700"),
+        new THREE.Color("#ff0066"),
+      ],
+      colorMix: 0, // 0 keeps each particle's own colour
+    };
+    this.lastUpdateTime = null;
+
+    // Force fields, evaluated in order. The defaults reproduce the
+    // original treble-driven curl noise, plus drag for emitted particles.
+    this.forceFields = [
+      new ForceField("turbulence", {
+        strength: 0.04,
+        audio: { feature: "treble", amount: 4 },
+      }),
+      new ForceField("drag", { strength: 0.5 }),
+    ];
+
+    // Scattered state: a SCATTER_LAYOUTS shape and its options
+    this.scatter = { layout: "cube", options: SCATTER_LAYOUTS.cube.defaults };
+
+    // Named morph targets: name → { positions, normals, colors,
+    // gradientMix, model, text, image }. "scatter" is always present.
+    this.targets = new Map();
+    this.currentTarget = null; // name of the last morphTo() target
+
+    // Morph blends shapeFrom → shapeTo by morphTarget; the plain toggle
+    // uses scatter → model, choreographed transitions any two shapes
+    this.shapeFrom = null;
+    this.shapeTo = null;
+    this.morphTransition = null; // { start, duration, easing, colors… }
 
     // State
     this.morphTarget = 0; // 0 = scattered, 1 = model shape
@@ -171,14 +400,19 @@ export class ParticleSystem {
     this.autoMorphOnBeat = true;
     this.morphDirection = -1; // 1 = towards model, -1 = towards scatter
     this.morphPauseFrames = 0;
+    this.flashLevel = 0; // 0–1, decays every frame
 
     // Model data
     this.originalModelGeometry = null;
+    // What setModel()/setImage() formed, re-sampled on regeneration:
+    // { model } or { image: { source, options } }
+    this.shapeSource = null;
 
     this.init();
   }
 
   init() {
+    setNoiseSeed(this.params.seed);
     this.createParticles();
   }
 
@@ -189,21 +423,33 @@ export class ParticleSystem {
       this.geometry.dispose();
       this.material.dispose();
     }
+    if (this.gpuSimulation) {
+      this.gpuSimulation.dispose();
+      this.gpuSimulation = null;
+    }
 
-    const { count } = this.params;
+    const { count, seed } = this.params;
+    const random = createRandom(`${seed}:particles`);
+    this.random = createRandom(`${seed}:runtime`);
 
     this.geometry = new THREE.BufferGeometry();
     this.positions = new Float32Array(count * 3);
     this.colors = new Float32Array(count * 3);
     this.sizes = new Float32Array(count);
     this.scatterPositions = new Float32Array(count * 3);
-
-    // Initial random positions (Scatter state)
-    for (let i = 0; i < count * 3; i++) {
-      const val = (Math.random() - 0.5) * 15;
-      this.positions[i] = val;
-      this.scatterPositions[i] = val;
-    }
+    this.velocities = new Float32Array(count * 3);
+    this.ages = new Float32Array(count);
+    this.lifespans = new Float32Array(count);
+    this.life = new Float32Array(count).fill(this._isEmitterMode() ? -1 : 0);
+    this.paint = new Float32Array(count);
+    this.binIndex = new Float32Array(count);
+    this.binShape = null; // remap bins for the new count
+    this.spawnCursor = 0;
+
+    // Initial positions (Scatter state)
+    this._layoutScatter(random);
+    this.positions.set(this.scatterPositions);
+    this.previousPositions = this.positions.slice();
 
     // Complex Palette (Gold, Teal, Purple, Pink, White)
     const palette = [
@@ -216,16 +462,46 @@ export class ParticleSystem {
 
     for (let i = 0; i < count; i++) {
       // Pick random color from palette
-      const color = palette[Math.floor(Math.random() * palette.length)];
+      const color = palette[Math.floor(random() * palette.length)];
 
       // Add slight variation
-      this.colors[i * 3 + 0] = color.r + (Math.random() - 0.5) * 0.1;
-      this.colors[i * 3 + 1] = color.g + (Math.random() - 0.5) * 0.1;
-      this.colors[i * 3 + 2] = color.b + (Math.random() - 0.5) * 0.1;
+      this.colors[i * 3 + 0] = color.r + (random() - 0.5) * 0.1;
+      this.colors[i * 3 + 1] = color.g + (random() - 0.5) * 0.1;
+      this.colors[i * 3 + 2] = color.b + (random() - 0.5) * 0.1;
 
-      this.sizes[i] = 0.3 + Math.random() * 0.7;
+      this.sizes[i] = 0.3 + random() * 0.7;
     }
 
+    this.gradientMix = new Float32Array(count);
+    for (let i = 0; i < count; i++) this.gradientMix[i] = random();
+
+    // Targets are sampled per particle — resample them for the new count
+    const sources = [...this.targets].filter(
+      ([, target]) => target.model || target.text || target.image,
+    );
+    this.targets.clear();
+    this.targets.set("scatter", {
+      positions: this.scatterPositions,
+      normals: null,
+      colors: null,
+      gradientMix: this.gradientMix.slice(),
+      model: null,
+    });
+    for (const [name, { model, text, image }] of sources) {
+      if (model) this.addTarget(name, model);
+      else if (text) this._setTextTarget(name, text);
+      else this._setImageTarget(name, image);
+    }
+
+    this.modelPositions = null;
+    this.modelNormals = null;
+    this.modelColors = null;
+    this.modelTracker = null;
+    this.shapeFrom = this.scatterPositions;
+    this.shapeTo = null;
+    this.morphTransition = null;
+    this.currentTarget = null;
+
     this.geometry.setAttribute(
       "position",
       new THREE.BufferAttribute(this.positions, 3),
@@ -238,6 +514,22 @@ export class ParticleSystem {
       "aSize",
       new THREE.BufferAttribute(this.sizes, 1),
     );
+    this.geometry.setAttribute(
+      "aLife",
+      new THREE.BufferAttribute(this.life, 1),
+    );
+    this.geometry.setAttribute(
+      "aPaint",
+      new THREE.BufferAttribute(this.paint, 1),
+    );
+    this.geometry.setAttribute(
+      "aBin",
+      new THREE.BufferAttribute(this.binIndex, 1),
+    );
+    this.geometry.setAttribute(
+      "aPrevious",
+      new THREE.BufferAttribute(this.previousPositions, 3),
+    );
 
     this.material = new THREE.ShaderMaterial({
       vertexShader,
@@ -246,6 +538,18 @@ export class ParticleSystem {
         uTime: { value: 0 },
         uBaseSize: { value: this.params.baseSize },
         uAudioScale: { value: 0 },
+        uFlash: { value: 0 },
+        uPositions: { value: null },
+        uSizeOverLife: { value: new THREE.Vector4() },
+        uLifeColors: { value: this.lifeCurves.colors },
+        uLifeColorMix: { value: 0 },
+        uPaintColor: { value: this.pointer.color },
+        uSpectrum: { value: new THREE.Vector3() },
+        uSpectrumLevels: { value: this.spectrumTexture },
+        uSpectrumSize: { value: new THREE.Vector2(1, 1) },
+        uPrevPositions: { value: null },
+        uTrail: { value: new THREE.Vector3() },
+        uViewport: { value: new THREE.Vector2(1, 1) },
       },
       transparent: true,
       depthWrite: false,
@@ -255,126 +559,376 @@ export class ParticleSystem {
 
     this.particles = new THREE.Points(this.geometry, this.material);
     this.scene.add(this.particles);
+
+    this.setLifeCurves(this.lifeCurves);
+    this.setSpectrumOptions();
+    this.setTrailOptions();
+    this._setupLifecycle();
+    this._setupSimulation();
+    this._setupPlexus();
+
+    // Re-form what setModel()/setImage() showed, at the new count
+    const shape = this._sampleShape();
+    if (shape) this._formTarget(shape);
+  }
+
+  /**
+   * "morph" (scatter ↔ model) or "emitter" (particles born from
+   * this.emitters, living for a lifespan). Emitters run on the CPU.
+   */
+  setMode(mode) {
+    if (mode === this.params.mode) return;
+    this.params.mode = mode;
+    if (!this.particles) return;
+
+    this.life.fill(this._isEmitterMode() ? -1 : 0);
+    this.velocities.fill(0);
+    this.geometry.attributes.aLife.needsUpdate = true;
+    this._setupLifecycle();
+    this._setupSimulation();
+    this._setupPlexus();
+  }
+
+  /**
+   * Shape particles by their age in emitter mode.
+   * @param {object} curves
+   * @param {number[]} [curves.size]  four size multipliers at life 0–1
+   * @param {Array<THREE.Color|string>} [curves.colors]  birth, mid, death
+   * @param {number} [curves.colorMix]  how much colour follows age (0–1)
+   */
+  setLifeCurves({ size, colors, colorMix } = {}) {
+    const curves = this.lifeCurves;
+    if (size) curves.size = size.slice(0, 4);
+    if (colors) colors.forEach((c, i) => curves.colors[i].set(c));
+    if (colorMix !== undefined) curves.colorMix = colorMix;
+    if (!this.material) return;
+    this.material.uniforms.uSizeOverLife.value.fromArray(curves.size);
+    this.material.uniforms.uLifeColorMix.value = curves.colorMix;
+  }
+
+  /**
+   * How particles follow the spectrum (audioData.frequencyData).
+   * @param {object} options
+   * @param {"height"|"distance"|"angle"|"random"} [options.mapping]
+   *   which bin a particle follows: low → high from the base up, from the
+   *   centre out, round from the bottom to the top, or at random
+   * @param {number} [options.gain]  bin level multiplier
+   * @param {number} [options.decay]  release time in seconds
+   * @param {number} [options.size]  extra size at full level
+   * @param {number} [options.brightness]  extra brightness at full level
+   * @param {number} [options.displacement]  outward push at full level
+   */
+  setSpectrumOptions(options = {}) {
+    const spectrum = this.spectrum;
+    if (options.mapping && options.mapping !== spectrum.mapping) {
+      this.binShape = null;
+    }
+    Object.assign(spectrum, options);
+    if (!this.material) return;
+    this.material.uniforms.uSpectrum.value.set(
+      spectrum.size,
+      spectrum.brightness,
+      spectrum.displacement,
+    );
+  }
+
+  /**
+   * Motion streaks: each sprite is stretched back along its screen-space
+   * motion since the last frame.
+   * @param {object} options
+   * @param {boolean} [options.enabled]
+   * @param {number} [options.length]  frames of motion a streak spans
+   * @param {number} [options.fade]  tail opacity falloff, 0 = even
+   * @param {number} [options.maxLength]  longest streak in pixels
+   * @param {{feature: string, amount: number} | null} [options.lengthAudio]
+   *   scales length by (1 + audioData[feature] × amount), like
+   *   ForceField.audio
+   * @param {{feature: string, amount: number} | null} [options.fadeAudio]
+   *   the same for fade
+   */
+  setTrailOptions(options = {}) {
+    const trails = this.trails;
+    if (options.enabled && !trails.enabled && this.previousPositions) {
+      // No streaks from wherever particles were when trails were last on
+      this.previousPositions.set(this.geometry.attributes.position.array);
+      this.geometry.attributes.aPrevious.needsUpdate = true;
+    }
+    Object.assign(trails, options);
+    if (!this.material) return;
+    if (trails.enabled) this.material.defines.USE_TRAILS = "";
+    else delete this.material.defines.USE_TRAILS;
+    this.material.needsUpdate = true;
+  }
+
+  /**
+   * Lay the scattered state out as another shape. Works in place — the
+   * buffers stay and particles travel to the new layout.
+   * @param {string} layout  key of SCATTER_LAYOUTS (cube, sphereShell,
+   *   sphere, torus, galaxy, fibonacci, disc, grid, spectrumRing)
+   * @param {object} [options]  layout parameters (radius, …); the rest
+   *   take the layout's defaults
+   */
+  setScatterLayout(layout, options = {}) {
+    if (!SCATTER_LAYOUTS[layout]) return;
+    this.scatter = {
+      layout,
+      options: { ...SCATTER_LAYOUTS[layout].defaults, ...options },
+    };
+    if (!this.scatterPositions) return;
+
+    // The stream createParticles() starts with, so the result matches a
+    // fresh load with this layout
+    this._layoutScatter(createRandom(`${this.params.seed}:particles`));
+    this._uploadMorph();
+    this.binShape = null; // remap spectrum bins onto the new shape
+  }
+
+  /** Switch between the GPU simulation and the CPU loop */
+  setGPUSimulation(enabled) {
+    this.params.gpu = enabled;
+    if (!this.particles) return;
+    this._setupSimulation();
+    this._setupPlexus();
+  }
+
+  /**
+   * Add a force field.
+   * @param {ForceField | string} field  a ForceField, or a type to create
+   * @param {object} [options]  ForceField options when `field` is a type
+   * @returns {ForceField}
+   */
+  addForceField(field, options) {
+    if (!(field instanceof ForceField)) field = new ForceField(field, options);
+    this.forceFields.push(field);
+    return field;
+  }
+
+  removeForceField(field) {
+    const index = this.forceFields.indexOf(field);
+    if (index >= 0) this.forceFields.splice(index, 1);
+  }
+
+  /** Plexus line length in world units (0 hides the lines) */
+  setConnectionDistance(distance) {
+    this.params.connectionDistance = distance;
   }
 
-  setModel(model) {
+  /** Most lines any one node may carry */
+  setMaxConnections(count) {
+    this.params.maxConnections = count;
+    if (this.particles) this._setupPlexus();
+  }
+
+  /** How many particles take part in the plexus */
+  setPlexusNodes(count) {
+    this.params.plexusNodes = count;
+    if (this.particles) this._setupPlexus();
+  }
+
+  /** True while positions are simulated on the GPU */
+  get isGPUSimulation() {
+    return this.gpuSimulation !== null;
+  }
+
+  /**
+   * Sample the model's surface into particle targets.
+   * @param {THREE.Object3D | null} model  world matrices must be up to date
+   * @param {object} [settings]  colorMode / colorStart / colorEnd to repaint
+   */
+  setModel(model, settings) {
+    this.shapeSource = model ? { model } : null;
     if (!model) {
       this.modelPositions = null;
+      this.modelNormals = null;
+      this.modelColors = null;
+      this.modelTracker = null;
+      this.shapeFrom = this.scatterPositions;
+      this.shapeTo = null;
+      this.morphTransition = null;
+      this.currentTarget = null;
+      this._uploadMorph();
       this.morphTarget = 0;
       this.morphDirection = -1;
       return;
     }
 
-    // Collect all vertices
-    const vertices = [];
-    model.traverse((child) => {
-      if (child.isMesh) {
-        const posAttr = child.geometry.attributes.position;
-        if (posAttr) {
-          const worldMatrix = child.matrixWorld;
-          for (let i = 0; i < posAttr.count; i++) {
-            const v = new THREE.Vector3();
-            v.fromBufferAttribute(posAttr, i);
-            v.applyMatrix4(worldMatrix);
-            vertices.push(v);
-          }
-        }
-      }
-    });
+    const target = this._sampleModel(model);
+    if (target) this._formTarget(target, settings);
+  }
 
-    if (vertices.length > 0) {
-      this.modelPositions = new Float32Array(this.params.count * 3);
-
-      // Sample points from mesh vertices to match our particle count
-      for (let i = 0; i < this.params.count; i++) {
-        // Randomly sample vertices
-        const v = vertices[Math.floor(Math.random() * vertices.length)];
-        // Add slight jitter to prevent stacking
-        this.modelPositions[i * 3] = v.x + (Math.random() - 0.5) * 0.05;
-        this.modelPositions[i * 3 + 1] = v.y + (Math.random() - 0.5) * 0.05;
-        this.modelPositions[i * 3 + 2] = v.z + (Math.random() - 0.5) * 0.05;
-      }
+  /**
+   * Sample an image (a logo, a photo) in place of a model: the scatter ↔
+   * model morph forms the picture, in its own colours in "model" colour
+   * mode.
+   * @param {CanvasImageSource} image
+   * @param {object} [options]  size, density, threshold, depth, depthFrom,
+   *   depthMap — see IMAGE_DEFAULTS
+   * @param {object} [settings]  colorMode / colorStart / colorEnd
+   * @returns {boolean} false if no pixel passes the threshold
+   */
+  setImage(image, options = {}, settings) {
+    const target = this._sampleImage(image, options);
+    if (!target) return false;
+    this.shapeSource = { image: { source: image, options } };
+    this._formTarget(target, settings);
+    return true;
+  }
 
-      this.morphTarget = 0.01;
-      this.morphDirection = 1; // Start morphing to model
-
-      // Color based on height (Y axis) for the flower look
-      // Find min/max Y
-      let minY = Infinity,
-        maxY = -Infinity;
-      for (let i = 0; i < this.params.count; i++) {
-        const y = this.modelPositions[i * 3 + 1];
-        if (y < minY) minY = y;
-        if (y > maxY) maxY = y;
-      }
+  /**
+   * Play a model's animation clips (all at once, looping) on the model
+   * itself, e.g. glTF `animations`. Wherever that model is the shape —
+   * setModel() or a morph target — the particles follow its skinned and
+   * morphed surface every frame. No clips stops animating it.
+   * @param {THREE.Object3D} model
+   * @param {THREE.AnimationClip[]} clips
+   */
+  animateModel(model, clips = []) {
+    const previous = this.mixers.get(model);
+    if (previous) {
+      previous.stopAllAction();
+      previous.uncacheRoot(model);
+      this.mixers.delete(model);
+    }
+    if (clips.length === 0) return;
 
-      const heightRange = maxY - minY || 1;
-
-      // Apply colors
-      for (let i = 0; i < this.params.count; i++) {
-        const y = this.modelPositions[i * 3 + 1];
-        const nY = (y - minY) / heightRange; // 0..1
-
-        let r, g, b;
-
-        if (nY > 0.6) {
-          // Top (Petals) - Purple/Pink
-          r = 0.8 + Math.random() * 0.2;
-          g = 0.0 + Math.random() * 0.2;
-          b = 0.8 + Math.random() * 0.2;
-        } else if (nY > 0.3) {
-          // Middle (Transition) - Gold/Teal mix
-          r = 0.0 + Math.random() * 0.5;
-          g = 0.8 + Math.random() * 0.2;
-          b = 0.8 + Math.random() * 0.2;
-        } else {
-          // Bottom (Stem) - Gold/Yellow
-          r = 1.0;
-          g = 0.8 + Math.random() * 0.2;
-          b = 0.0 + Math.random() * 0.2;
-        }
+    const mixer = new THREE.AnimationMixer(model);
+    for (const clip of clips) mixer.clipAction(clip).play();
+    this.mixers.set(model, mixer);
+  }
 
-        // Mix with existing current color for smooth transition?
-        // For now, hard set target colors or just let them be.
-        // Since we want to replicate the reference, let's set them.
-        this.colors[i * 3] = r;
-        this.colors[i * 3 + 1] = g;
-        this.colors[i * 3 + 2] = b;
-      }
-      this.geometry.attributes.aColor.needsUpdate = true;
-    }
+  /**
+   * Playback rate of animated models.
+   * @param {object} options
+   * @param {number} [options.speed]  rate, or the base rate when synced
+   * @param {"fixed"|"tempo"|"energy"} [options.sync]  follow nothing, the
+   *   detected tempo (relative to options.bpm) or the loudness
+   * @param {number} [options.bpm]  tempo the clips play at at speed 1
+   */
+  setAnimationOptions(options = {}) {
+    Object.assign(this.animation, options);
   }
 
-  toggleMorph() {
-    if (this.morphTarget >= 0.5) {
-      this.morphDirection = -1; // Scatter
-    } else {
-      this.morphDirection = 1; // Form
-    }
+  /* ------------------------------------------------------------------ */
+  /*  Morph targets & choreographed transitions                          */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Register a model (world matrices up to date) as a named morph target.
+   * @returns {boolean} false if the model has nothing to sample
+   */
+  addTarget(name, model) {
+    const target = this._sampleModel(model);
+    if (!target) return false;
+    this.targets.set(name, { ...target, model });
+    return true;
+  }
+
+  /**
+   * Register text as a named morph target, or replace the text of one.
+   * Replacing the target being shown re-morphs to the new text from
+   * wherever the particles are.
+   * @param {string} name
+   * @param {string} text  "\n" starts a new line
+   * @param {object} [options]  font, weight, size, maxWidth, align,
+   *   letterSpacing, lineHeight, depth, sample ("fill" | "edges"), color —
+   *   see TEXT_DEFAULTS
+   * @param {object} [morph]  morphTo() options for the re-morph
+   * @returns {boolean} false if the text has nothing to sample
+   */
+  addTextTarget(name, text, options = {}, morph = { duration: 1 }) {
+    if (!this._setTextTarget(name, { string: text, options })) return false;
+    if (this.currentTarget === name) this.morphTo(name, morph);
+    return true;
+  }
+
+  /**
+   * Register an image as a named morph target.
+   * @param {string} name
+   * @param {CanvasImageSource} image
+   * @param {object} [options]  see setImage()
+   * @returns {boolean} false if no pixel passes the threshold
+   */
+  addImageTarget(name, image, options = {}) {
+    return this._setImageTarget(name, { source: image, options });
+  }
+
+  removeTarget(name) {
+    if (name !== "scatter") this.targets.delete(name);
+  }
+
+  getTargetNames() {
+    return [...this.targets.keys()];
+  }
+
+  /** True while a choreographed transition is running */
+  get isMorphing() {
+    return this.morphTransition !== null;
+  }
+
+  /**
+   * Morph from wherever the particles are heading now to a named target.
+   * @param {string} name
+   * @param {object} [options]
+   * @param {number} [options.duration=2]  seconds
+   * @param {string} [options.easing="easeInOutCubic"]  key of EASINGS
+   */
+  morphTo(name, { duration = 2, easing = "easeInOutCubic" } = {}) {
+    const target = this.targets.get(name);
+    if (!target) throw new Error(`Unknown morph target "${name}"`);
+
+    // Start from the current blended shape, so interrupting a running
+    // transition doesn't jump
+    this.shapeFrom = this._currentShape();
+    this.shapeTo = target.positions;
+    this.morphTarget = 0;
+    this.morphDirection = 0;
+    this._uploadMorph();
+
+    // Colours blend to what the target will be painted with
+    const fromColors = this.colors.slice();
+    this.modelColors = target.colors;
+    this.modelNormals = target.normals;
+    this.gradientMix.set(target.gradientMix);
+    this._applyColors();
+    const toColors = this.colors.slice();
+    this.colors.set(fromColors);
+
+    this.morphTransition = {
+      start: null, // set on the next update() so it follows audioData.time
+      duration,
+      easing: EASINGS[easing] || EASINGS.easeInOutCubic,
+      fromColors,
+      toColors,
+    };
+    this.currentTarget = name;
+  }
+
+  /**
+   * Repaint for a color mode: "model" inherits the model's own colours
+   * (texture, vertex colours, material), "gradient" uses start → end.
+   * @param {{colorMode: string, colorStart?: string, colorEnd?: string}} settings
+   */
+  updateColorMode(settings) {
+    this.colorMode = settings.colorMode;
+    if (settings.colorStart) this.gradient[0].set(settings.colorStart);
+    if (settings.colorEnd) this.gradient[1].set(settings.colorEnd);
+    this._applyColors();
   }
 
   setMorphSpeed(speed) {
-    this.params.morphSpeed = speed;
+    this.morphSpeed = speed;
   }
 
   setAutoMorphOnBeat(enabled) {
-    this.params.autoMorph = enabled;
+    this.autoMorphOnBeat = enabled;
   }
 
   // API wrappers to match existing main.js calls
   updateGradientColors(c1, c2) {
-    // Simplified: we just tint the shader or vertices
-    const count = this.params.count;
-    const color1 = new THREE.Color(c1);
-    const color2 = new THREE.Color(c2);
-
-    for (let i = 0; i < count; i++) {
-      const mix = Math.random();
-      this.colors[i * 3] = THREE.MathUtils.lerp(color1.r, color2.r, mix);
-      this.colors[i * 3 + 1] = THREE.MathUtils.lerp(color1.g, color2.g, mix);
-      this.colors[i * 3 + 2] = THREE.MathUtils.lerp(color1.b, color2.b, mix);
-    }
-    this.geometry.attributes.aColor.needsUpdate = true;
+    this.gradient[0].set(c1);
+    this.gradient[1].set(c2);
+    // Model colours stay until the mode is switched back to gradient
+    this._applyColors();
   }
 
   updateBlendMode(mode) {
@@ -384,11 +938,29 @@ export class ParticleSystem {
     this.material.needsUpdate = true;
   }
 
+  /**
+   * Reseed every random source (scatter, colours, sizes, model sampling,
+   * noise) and regenerate the particles, re-sampling every target.
+   * @param {number|string} seed
+   */
+  setSeed(seed) {
+    this.rebuild({ seed });
+  }
+
   updateParticleCount(c) {
-    if (c !== this.params.count) {
-      this.params.count = c;
-      this.init();
-    }
+    this.rebuild({ count: c });
+  }
+
+  /**
+   * Change the particle count and/or seed with a single regeneration —
+   * each one re-samples every target, so batch them.
+   * @param {{count?: number, seed?: number|string}} options
+   */
+  rebuild({ count = this.params.count, seed = this.params.seed }) {
+    if (count === this.params.count && seed === this.params.seed) return;
+    this.params.count = count;
+    this.params.seed = seed;
+    this.init();
   }
 
   updateParticleSize(s) {
@@ -398,29 +970,65 @@ export class ParticleSystem {
       this.material.uniforms.uBaseSize.value = this.params.baseSize;
   }
 
-  setMorphSpeed(s) {
-    this.morphSpeed = s;
-  }
   setTurbulence(t) {
     /* handled in update */
   }
   toggleMorph() {
-    this.morphDirection *= -1;
+    this._leaveChoreography();
+    if (this.morphTarget >= 0.5) {
+      this.morphDirection = -1; // Scatter
+    } else {
+      this.morphDirection = 1; // Form
+    }
   }
-  setAutoMorphOnBeat(b) {
-    this.autoMorphOnBeat = b;
+  setStereoAmount(a) {
+    this.params.stereoAmount = a;
   }
 
   update(audioData) {
-    const time = performance.now() * 0.001;
+    // Replayed traces carry their own clock so motion is reproducible
+    const time = audioData.time ?? performance.now() * 0.001;
     if (this.material) this.material.uniforms.uTime.value = time;
+    const dt =
+      this.lastUpdateTime === null
+        ? 0
+        : THREE.MathUtils.clamp(time - this.lastUpdateTime, 0, 0.1);
+    this.lastUpdateTime = time;
 
     // Audio levels
     const bass = audioData.bass || 0;
+    this._updateSpectrum(audioData.frequencyData, dt);
+    this._updateAnimation(audioData, dt);
+
+    // Choreographed transition: eased progress over its duration
+    const transition = this.morphTransition;
+    if (transition) {
+      if (transition.start === null) transition.start = time;
+      const progress =
+        transition.duration > 0
+          ? THREE.MathUtils.clamp(
+              (time - transition.start) / transition.duration,
+              0,
+              1,
+            )
+          : 1;
+      this.morphTarget = transition.easing(progress);
+
+      const { fromColors, toColors } = transition;
+      const mix = Math.min(1, progress);
+      for (let i = 0; i < this.colors.length; i++) {
+        this.colors[i] = fromColors[i] + (toColors[i] - fromColors[i]) * mix;
+      }
+      this.geometry.attributes.aColor.needsUpdate = true;
+
+      if (progress >= 1) this.morphTransition = null;
+    }
+    // The scatter ↔ model toggle and auto-morph only drive the plain morph
+    const binaryMorph = this._isBinaryMorph();
 
     // Morph Update Logic
-    if (this.morphDirection !== 0) {
-      this.morphTarget += this.morphDirection * this.params.morphSpeed; // Use setting
+    if (binaryMorph && this.morphDirection !== 0) {
+      this.morphTarget += this.morphDirection * this.morphSpeed;
       if (this.morphTarget >= 1) {
         this.morphTarget = 1;
         this.morphDirection = 0;
@@ -429,41 +1037,35 @@ export class ParticleSystem {
         this.morphDirection = 0;
       }
     }
-    // Auto morph on beat
-    if (this.params.autoMorph && audioData.isBeat && this.morphTarget < 0.1) {
-      this.toggleMorph();
-    } else if (
-      this.params.autoMorph &&
-      this.morphTarget > 0.9 &&
-      Math.random() < 0.01
+    // Auto morph on beat — snaps to bar downbeats once the tempo is
+    // locked: forms on the next trigger, scatters again now and then
+    const onGrid = (audioData.tempoConfidence || 0) >= 0.5;
+    const morphTrigger = onGrid ? audioData.isDownbeat : audioData.isBeat;
+    if (
+      binaryMorph &&
+      this.autoMorphOnBeat &&
+      morphTrigger &&
+      this.morphPauseFrames <= 0 &&
+      (this.morphTarget < 0.1 ||
+        (this.morphTarget > 0.9 && this.random() < (onGrid ? 0.25 : 0.3)))
     ) {
       this.toggleMorph();
+      this.morphPauseFrames = 60;
     }
+    if (this.morphPauseFrames > 0) this.morphPauseFrames--;
+
     const mid = audioData.mid || 0;
     const treble = audioData.treble || 0;
-    const beat = audioData.beat || false;
 
     if (this.material) this.material.uniforms.uAudioScale.value = bass;
 
-    // -----------------------------------------------------------------
-    // Morph Layout Handling
-    // -----------------------------------------------------------------
-    if (this.autoMorphOnBeat && beat && this.morphPauseFrames <= 0) {
-      // Toggle morph direction on strong beats occasionally
-      if (Math.random() > 0.7) {
-        this.morphDirection *= -1;
-        this.morphPauseFrames = 60;
-      }
-    }
-    if (this.morphPauseFrames > 0) this.morphPauseFrames--;
+    // Flash decay
+    this.flashLevel *= 0.88;
+    if (this.flashLevel < 0.001) this.flashLevel = 0;
+    if (this.material) this.material.uniforms.uFlash.value = this.flashLevel;
 
-    // Update morph target factor
-    if (this.modelPositions) {
-      this.morphTarget += this.morphDirection * this.morphSpeed;
-      this.morphTarget = THREE.MathUtils.clamp(this.morphTarget, 0, 1);
-    } else {
-      this.morphTarget = 0;
-    }
+    // Nothing to morph to yet
+    if (!this.shapeTo) this.morphTarget = 0;
 
     const positions = this.geometry.attributes.position.array;
     const count = this.params.count;
@@ -471,102 +1073,130 @@ export class ParticleSystem {
     // Movement Parameters
     const noiseScale = 0.5;
     const noiseSpeed = 0.1;
-    const turbulence = 0.02 + treble * 0.08; // Audio drives turbulence
+
+    // ---- Force Fields ----
+    // Strengths follow their audio bindings; drag only slows velocities
+    const fields = [];
+    let drag = 0;
+    for (const field of this.forceFields) {
+      if (!field.enabled) continue;
+      const strength = field.strengthFor(audioData);
+      if (field.type === "drag") drag += strength;
+      else fields.push({ field, strength });
+    }
+    for (const field of this._updatePointerFields()) {
+      fields.push({ field, strength: field.strength });
+    }
 
     // Smooth factor for lerp
     const lerpFactor = 0.05;
 
+    // ---- Breathing Effect (Botanical Pulse) ----
+    // Pulses on the beat grid when the tempo is locked, free-running otherwise
+    const breathing = onGrid
+      ? Math.cos((audioData.beatPhase || 0) * Math.PI * 2) * 0.05 + 1.0
+      : Math.sin(time * 0.8) * 0.05 + 1.0;
+
+    // ---- Stereo Field ----
+    // Lean toward the side the sound is panned to; widen the scatter
+    // cloud with the stereo image (model shapes keep their proportions)
+    const stereo = this.params.stereoAmount;
+    const stereoPan = (audioData.balance || 0) * stereo * 2.5;
+    const stereoSpread =
+      (audioData.stereoWidth || 0) * stereo * 0.5 * (1 - this.morphTarget);
+    const shape = { breathing, stereoPan, stereoSpread };
+
+    this._updateTrails(audioData);
+
+    // ---- Emitter Mode ----
+    if (this._isEmitterMode()) {
+      this._updateEmitters(audioData, dt, fields, drag, time);
+      this._updatePaint(dt, shape);
+      this._updatePlexus(audioData, shape);
+      return;
+    }
+
+    // ---- GPU Simulation ----
+    if (this.gpuSimulation) {
+      this.gpuSimulation.update({
+        morph: this.shapeTo ? this.morphTarget : 0,
+        time,
+        fields,
+        breathing,
+        stereoPan,
+        stereoSpread,
+      });
+      this.material.uniforms.uPositions.value = this.gpuSimulation.texture;
+      this.material.uniforms.uPrevPositions.value =
+        this.gpuSimulation.previousTexture;
+      this._updatePaint(dt, shape);
+      this._updatePlexus(audioData, shape);
+      return;
+    }
+
     // -----------------------------------------------------------------
-    // Particle Physics Loop
+    // Particle Physics Loop (CPU fallback)
     // -----------------------------------------------------------------
+    const force = new THREE.Vector3();
     for (let i = 0; i < count; i++) {
       const i3 = i * 3;
 
       // Target Position Interpolation
       let tx, ty, tz;
-      if (this.modelPositions) {
+      if (this.shapeTo) {
         tx = THREE.MathUtils.lerp(
-          this.scatterPositions[i3],
-          this.modelPositions[i3],
+          this.shapeFrom[i3],
+          this.shapeTo[i3],
           this.morphTarget,
         );
         ty = THREE.MathUtils.lerp(
-          this.scatterPositions[i3 + 1],
-          this.modelPositions[i3 + 1],
+          this.shapeFrom[i3 + 1],
+          this.shapeTo[i3 + 1],
           this.morphTarget,
         );
         tz = THREE.MathUtils.lerp(
-          this.scatterPositions[i3 + 2],
-          this.modelPositions[i3 + 2],
+          this.shapeFrom[i3 + 2],
+          this.shapeTo[i3 + 2],
           this.morphTarget,
         );
       } else {
-        tx = this.scatterPositions[i3];
-        ty = this.scatterPositions[i3 + 1];
-        tz = this.scatterPositions[i3 + 2];
+        tx = this.shapeFrom[i3];
+        ty = this.shapeFrom[i3 + 1];
+        tz = this.shapeFrom[i3 + 2];
       }
 
-      // Noise / Turbulence
-      // Using simplex noise for organic movement
-      // ---- Curl Noise (Fluid Motion) ----
-      // We use the position as input to get a divergence-free velocity vector
-      const scale = 0.08;
-      const speed = 0.15;
-      const timeOffset = time * speed;
-
-      const curl = curlNoise(
-        new THREE.Vector3(
-          positions[i3] * scale,
-          positions[i3 + 1] * scale,
-          positions[i3 + 2] * scale + timeOffset,
-        ),
-      );
-
-      const fluidFactor = 0.4 * turbulence;
-
-      // ---- Mouse Interaction (Repulsor) ----
-      // Project mouse to 3D roughly (assuming z=0 plane for interaction)
-      // For accurate 3D picking we'd need raycaster, but simple 2D proximity is often enough for "screen space" feel
-      const dx = positions[i3] - this.mouse.x;
-      const dy = positions[i3 + 1] - this.mouse.y;
-      // const dz = positions[i3+2] - this.mouse.z; // Mouse is 2D, let's assume cylinder or sphere influence?
-      // Let's assume cylinder influence along Z for simplicity
-      // Or just screen space distance
-      const distSq = dx * dx + dy * dy;
-
-      let mouseForceX = 0,
-        mouseForceY = 0,
-        mouseForceZ = 0;
-
-      if (distSq < 16.0) {
-        // Radius 4
-        const dist = Math.sqrt(distSq);
-        const force = (4.0 - dist) * 0.1; // Repel strength
-        mouseForceX = (dx / dist) * force;
-        mouseForceY = (dy / dist) * force;
-        // Z push too?
-        mouseForceZ = (Math.random() - 0.5) * force;
+      tx = tx * (1 + stereoSpread) + stereoPan;
+
+      // ---- Force Fields ----
+      // Sampled at the particle's current position
+      force.set(0, 0, 0);
+      for (const { field, strength } of fields) {
+        field.apply(
+          force,
+          positions[i3],
+          positions[i3 + 1],
+          positions[i3 + 2],
+          strength,
+          time,
+        );
       }
 
-      // Apply Forces (Target + Fluid + Mouse)
+      // Apply Forces (Target + Fields)
       const targetWeight = 0.05; // Strength of return to shape
 
-      // ---- Breathing Effect (Botanical Pulse) ----
-      const breathing = Math.sin(time * 0.8) * 0.05 + 1.0;
-
       positions[i3] = THREE.MathUtils.lerp(
         positions[i3],
-        tx * breathing + curl.x * 5 * fluidFactor + mouseForceX * 10,
+        tx * breathing + force.x,
         targetWeight,
       );
       positions[i3 + 1] = THREE.MathUtils.lerp(
         positions[i3 + 1],
-        ty * breathing + curl.y * 5 * fluidFactor + mouseForceY * 10,
+        ty * breathing + force.y,
         targetWeight,
       );
       positions[i3 + 2] = THREE.MathUtils.lerp(
         positions[i3 + 2],
-        tz * breathing + curl.z * 5 * fluidFactor + mouseForceZ * 10,
+        tz * breathing + force.z,
         targetWeight,
       );
     }
@@ -577,16 +1207,803 @@ export class ParticleSystem {
     // Final position update
     // -----------------------------------------------------------------
     this.geometry.attributes.position.needsUpdate = true;
+
+    this._updatePaint(dt, shape);
+    this._updatePlexus(audioData, shape);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Advance animated models at the rate their sync asks for, then move the
+   * samples of the shapes being shown onto the posed surfaces.
+   */
+  _updateAnimation(audioData, dt) {
+    if (this.mixers.size === 0) return;
+
+    const { speed, sync, bpm } = this.animation;
+    let rate = speed;
+    if (sync === "tempo" && (audioData.tempoConfidence || 0) >= 0.5) {
+      rate = (speed * audioData.bpm) / bpm;
+    } else if (sync === "energy") {
+      // About the set speed at a typical level, slowing to a crawl in
+      // silence
+      const energy =
+        ((audioData.bass || 0) +
+          (audioData.mid || 0) +
+          (audioData.treble || 0)) /
+        3;
+      rate = speed * (0.1 + energy * 2);
+    }
+    this.animationRate += (rate - this.animationRate) * (1 - Math.exp(-dt * 4));
+
+    for (const [model, mixer] of this.mixers) {
+      mixer.update(dt * this.animationRate);
+      model.updateMatrixWorld(true);
+    }
+
+    // A set: the shown model usually shares its target's tracker
+    const trackers = new Set([this.modelTracker]);
+    for (const target of this.targets.values()) trackers.add(target.tracker);
+    let moved = false;
+    for (const tracker of trackers) {
+      if (!tracker || !this.mixers.has(tracker.root)) continue;
+      if (
+        tracker.positions !== this.shapeTo &&
+        tracker.positions !== this.shapeFrom
+      ) {
+        continue;
+      }
+      tracker.update();
+      moved = true;
+    }
+    if (moved) this._uploadMorph();
+  }
+
+  /**
+   * Streak uniforms for this frame (audio-bound length and fade), and on
+   * the CPU last frame's positions before they move. Runs before the
+   * emitters, which reset the previous position of particles they spawn.
+   */
+  _updateTrails(audioData) {
+    const trails = this.trails;
+    if (!trails.enabled) return;
+
+    const bound = (value, binding) => {
+      if (!binding) return value;
+      const { feature, amount = 1 } = binding;
+      const level =
+        audioData[feature] ?? (audioData.features || {})[feature] ?? 0;
+      return value * Math.max(0, 1 + Number(level) * amount);
+    };
+    const uniforms = this.material.uniforms;
+    uniforms.uTrail.value.set(
+      bound(trails.length, trails.lengthAudio),
+      bound(trails.fade, trails.fadeAudio),
+      trails.maxLength,
+    );
+    if (this.renderer) {
+      this.renderer.getDrawingBufferSize(uniforms.uViewport.value);
+    }
+
+    if (!this.gpuSimulation) {
+      this.previousPositions.set(this.geometry.attributes.position.array);
+      this.geometry.attributes.aPrevious.needsUpdate = true;
+    }
+  }
+
+  /** Make a sampled target the "model" end of the scatter ↔ model morph */
+  _formTarget(target, settings) {
+    this.modelPositions = target.positions;
+    this.modelNormals = target.normals;
+    this.modelColors = target.colors;
+    this.modelTracker = target.tracker || null;
+    this.gradientMix.set(target.gradientMix);
+
+    this.shapeFrom = this.scatterPositions;
+    this.shapeTo = this.modelPositions;
+    this.morphTransition = null;
+    this.currentTarget = null;
+    this._uploadMorph();
+
+    this.morphTarget = 0.01;
+    this.morphDirection = 1; // Start morphing to model
+
+    if (settings) this.updateColorMode(settings);
+    else this._applyColors();
+  }
+
+  /**
+   * Samples of a model as a morph target — its point clouds as they are,
+   * else its surface, else its vertices — stored in spatialOrder so every
+   * target corresponds particle for particle.
+   * @returns {object | null} { positions, normals, colors, gradientMix }
+   */
+  _sampleModel(model) {
+    const count = this.params.count;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    // Same seed, model and count → the same samples
+    const random = createRandom(`${this.params.seed}:model`);
+    const cloud = this._collectVertices(model, (child) => child.isPoints);
+    const sampler = cloud ? null : new MeshSampler(model);
+    let tracker = null;
+    if (cloud) {
+      this._samplePoints(cloud, positions, colors, random);
+    } else if (sampler.area > 0) {
+      // Area-weighted surface samples, nudged along the normal so thin
+      // surfaces read as a shell rather than a flat sheet. The tracker
+      // keeps them on the surface if the model is animated.
+      tracker = new SurfaceTracker(model, count);
+      const sample = {
+        position: new THREE.Vector3(),
+        normal: new THREE.Vector3(),
+        uv: new THREE.Vector2(),
+        color: new THREE.Color(),
+        face: { a: 0, b: 0, c: 0 },
+        barycoord: new THREE.Vector3(),
+      };
+      for (let i = 0; i < count; i++) {
+        sampler.sample(sample, random);
+        const offset = (random() - 0.5) * 0.05;
+        sample.position.addScaledVector(sample.normal, offset);
+        sample.position.toArray(positions, i * 3);
+        sample.normal.toArray(normals, i * 3);
+        sample.color.toArray(colors, i * 3);
+        tracker.record(i, sample, offset);
+      }
+    } else {
+      // No surface area (lines, degenerate meshes): use the vertices
+      const vertices = this._collectVertices(
+        model,
+        (child) => child.isMesh || child.isLine,
+      );
+      if (!vertices) return null;
+      this._samplePoints(vertices, positions, colors, random);
+    }
+
+    const order = spatialOrder(positions);
+    const target = this._orderTarget(positions, normals, colors, order);
+    if (tracker) tracker.attach(target.positions, target.normals, order);
+    return { ...target, tracker };
+  }
+
+  /**
+   * Sample this.shapeSource again after regeneration, reusing the model's
+   * re-sampled morph target when it has one.
+   */
+  _sampleShape() {
+    if (!this.shapeSource) return null;
+    const { model, image } = this.shapeSource;
+    if (image) return this._sampleImage(image.source, image.options);
+    for (const target of this.targets.values()) {
+      if (target.model === model) return target;
+    }
+    return this._sampleModel(model);
+  }
+
+  /** Store a text target: text = { string, options } */
+  _setTextTarget(name, text) {
+    const sampler = new TextSampler(text.string, text.options);
+    if (sampler.pixelCount === 0) return false;
+    const target = this._sampleWith(sampler, "text");
+    this.targets.set(name, { ...target, model: null, text });
+    return true;
+  }
+
+  /** Store an image target: image = { source, options } */
+  _setImageTarget(name, image) {
+    const target = this._sampleImage(image.source, image.options);
+    if (!target) return false;
+    this.targets.set(name, { ...target, model: null, image });
+    return true;
+  }
+
+  _sampleImage(image, options) {
+    const sampler = new ImageSampler(image, options);
+    return sampler.weight > 0 ? this._sampleWith(sampler, "image") : null;
+  }
+
+  /**
+   * One sample per particle from a sampler with MeshSampler's sample()
+   * interface (TextSampler, ImageSampler), as an ordered target.
+   * @param {string} stream  names the seeded random stream
+   */
+  _sampleWith(sampler, stream) {
+    const count = this.params.count;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const random = createRandom(`${this.params.seed}:${stream}`);
+    const sample = {
+      position: new THREE.Vector3(),
+      normal: new THREE.Vector3(),
+      color: new THREE.Color(),
+    };
+    for (let i = 0; i < count; i++) {
+      sampler.sample(sample, random);
+      sample.position.toArray(positions, i * 3);
+      sample.normal.toArray(normals, i * 3);
+      sample.color.toArray(colors, i * 3);
+    }
+    return this._orderTarget(positions, normals, colors);
+  }
+
+  /**
+   * Put samples in spatialOrder, so every target corresponds particle for
+   * particle, and add the bottom → top gradient mix.
+   * @param {Uint32Array} [order]  spatialOrder(positions), if already known
+   */
+  _orderTarget(positions, normals, colors, order = spatialOrder(positions)) {
+    const count = this.params.count;
+    positions = reorder(positions, order, 3);
+    normals = reorder(normals, order, 3);
+    colors = reorder(colors, order, 3);
+
+    // Gradient mode runs bottom → top over the shape's height
+    let minY = Infinity,
+      maxY = -Infinity;
+    for (let i = 0; i < count; i++) {
+      const y = positions[i * 3 + 1];
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+    const heightRange = maxY - minY || 1;
+    const gradientMix = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      gradientMix[i] = (positions[i * 3 + 1] - minY) / heightRange;
+    }
+
+    return { positions, normals, colors, gradientMix };
+  }
+
+  /** Scatter ↔ model morph (not inside a choreographed sequence) */
+  _isBinaryMorph() {
+    return !this.morphTransition && this.shapeFrom === this.scatterPositions;
+  }
+
+  /** Where the particles are currently heading: from/to blended */
+  _currentShape() {
+    if (!this.shapeTo) return this.shapeFrom.slice();
+    const t = this.morphTarget;
+    const shape = new Float32Array(this.shapeFrom.length);
+    for (let i = 0; i < shape.length; i++) {
+      shape[i] = this.shapeFrom[i] + (this.shapeTo[i] - this.shapeFrom[i]) * t;
+    }
+    return shape;
+  }
+
+  /**
+   * Hand a choreographed shape back to the scatter ↔ shape toggle: the
+   * current shape becomes the "model" end, fully formed.
+   */
+  _leaveChoreography() {
+    if (this._isBinaryMorph()) return;
+    if (this.morphTransition) {
+      this.colors.set(this.morphTransition.toColors);
+      this.geometry.attributes.aColor.needsUpdate = true;
+    }
+    this.shapeTo = this._currentShape();
+    this.shapeFrom = this.scatterPositions;
+    this.morphTransition = null;
+    this.morphTarget = 1;
+    this._uploadMorph();
+  }
+
+  /** Push shapeFrom / shapeTo to the GPU simulation */
+  _uploadMorph() {
+    if (!this.gpuSimulation) return;
+    this.gpuSimulation.setTargets(this.shapeFrom, this.shapeTo);
+  }
+
+  /** Fill scatterPositions (in place) from the layout, in morph-target order */
+  _layoutScatter(random) {
+    const { layout, options } = this.scatter;
+    const positions = new Float32Array(this.scatterPositions.length);
+    SCATTER_LAYOUTS[layout].generate(
+      positions,
+      this.params.count,
+      options,
+      random,
+    );
+    this.scatterPositions.set(reorder(positions, spatialOrder(positions), 3));
+  }
+
+  /** Paint particles for the current color mode */
+  _applyColors() {
+    const count = this.params.count;
+    if (
+      this.colorMode === "model" &&
+      this.modelColors &&
+      this.modelColors.length === this.colors.length
+    ) {
+      this.colors.set(this.modelColors);
+    } else {
+      const [color1, color2] = this.gradient;
+      for (let i = 0; i < count; i++) {
+        const mix = this.gradientMix[i];
+        this.colors[i * 3] = THREE.MathUtils.lerp(color1.r, color2.r, mix);
+        this.colors[i * 3 + 1] = THREE.MathUtils.lerp(color1.g, color2.g, mix);
+        this.colors[i * 3 + 2] = THREE.MathUtils.lerp(color1.b, color2.b, mix);
+      }
+    }
+    this.geometry.attributes.aColor.needsUpdate = true;
+  }
+
+  /**
+   * World positions and colours (material × vertex colour) of the
+   * vertices of every object `include` accepts.
+   * @returns {object | null} { positions, colors, count }, null if none
+   */
+  _collectVertices(model, include) {
+    const objects = [];
+    let count = 0;
+    model.traverse((child) => {
+      const posAttr = child.geometry && child.geometry.attributes.position;
+      if (posAttr && include(child)) {
+        objects.push(child);
+        count += posAttr.count;
+      }
+    });
+    if (count === 0) return null;
+
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const v = new THREE.Vector3();
+    const color = new THREE.Color();
+    const vertexColor = new THREE.Color();
+    let offset = 0;
+    for (const child of objects) {
+      const { position: posAttr, color: colorAttr } = child.geometry.attributes;
+      const material = Array.isArray(child.material)
+        ? child.material[0]
+        : child.material;
+      for (let i = 0; i < posAttr.count; i++, offset += 3) {
+        v.fromBufferAttribute(posAttr, i).applyMatrix4(child.matrixWorld);
+        v.toArray(positions, offset);
+        if (material && material.color) color.copy(material.color);
+        else color.setRGB(1, 1, 1);
+        if (colorAttr)
+          color.multiply(vertexColor.fromBufferAttribute(colorAttr, i));
+        color.toArray(colors, offset);
+      }
+    }
+    return { positions, colors, count };
+  }
+
+  /**
+   * Points as samples, each used once in a seeded random order; with more
+   * particles than points they repeat, jittered to prevent stacking.
+   */
+  _samplePoints(points, positions, colors, random) {
+    const count = positions.length / 3;
+    const n = points.count;
+    const order = new Uint32Array(n);
+    for (let i = 0; i < n; i++) order[i] = i;
+    // Partial Fisher–Yates: only the picks that get used are shuffled
+    for (let i = 0; i < Math.min(count, n); i++) {
+      const j = i + Math.floor(random() * (n - i));
+      const swap = order[i];
+      order[i] = order[j];
+      order[j] = swap;
+    }
+
+    for (let i = 0; i < count; i++) {
+      const p = order[i % n] * 3;
+      const jitter = i < n ? 0 : 0.05;
+      for (let k = 0; k < 3; k++) {
+        positions[i * 3 + k] =
+          points.positions[p + k] + (random() - 0.5) * jitter;
+        colors[i * 3 + k] = points.colors[p + k];
+      }
+    }
+  }
+
+  /**
+   * (Re)create the GPU simulation for the current particles, falling back
+   * to the CPU loop when there is no renderer or it lacks float textures.
+   */
+  _setupSimulation() {
+    if (this.gpuSimulation) {
+      this.gpuSimulation.dispose();
+      this.gpuSimulation = null;
+    }
+
+    if (this.params.gpu && this.renderer && !this._isEmitterMode()) {
+      const simulation = new GPUParticleSimulation(
+        this.renderer,
+        this.params.count,
+        this.scatterPositions,
+        this.params.seed,
+      );
+      if (simulation.error) {
+        console.warn(
+          "GPU simulation unavailable, using CPU:",
+          simulation.error,
+        );
+        simulation.dispose();
+      } else {
+        this.gpuSimulation = simulation;
+        this._uploadMorph();
+        this.geometry.setAttribute(
+          "aReference",
+          new THREE.BufferAttribute(simulation.referenceUVs(), 2),
+        );
+      }
+    }
+
+    // Simulated positions never reach the position attribute, so its
+    // bounding sphere is meaningless for culling
+    const gpu = this.gpuSimulation !== null;
+    if (gpu) this.material.defines.USE_GPGPU = "";
+    else delete this.material.defines.USE_GPGPU;
+    this.material.needsUpdate = true;
+    this.particles.frustumCulled = !gpu;
+    if (gpu) {
+      this.material.uniforms.uPositions.value = this.gpuSimulation.texture;
+      this.material.uniforms.uPrevPositions.value =
+        this.gpuSimulation.previousTexture;
+    } else {
+      this.geometry.deleteAttribute("aReference");
+    }
+  }
+
+  _isEmitterMode() {
+    return this.params.mode === "emitter";
+  }
+
+  /** Turn the shader's age-driven size / colour on for emitter mode */
+  _setupLifecycle() {
+    if (this._isEmitterMode()) this.material.defines.USE_LIFECYCLE = "";
+    else delete this.material.defines.USE_LIFECYCLE;
+    this.material.needsUpdate = true;
+  }
+
+  /**
+   * Emitter mode step: age and move the living (force fields accelerate,
+   * drag slows), then hand free particles to the emitters. Louder audio
+   * launches them faster.
+   * @param {Array<{field: ForceField, strength: number}>} fields
+   * @param {number} drag  summed drag strength
+   */
+  _updateEmitters(audioData, dt, fields, drag, time) {
+    const positions = this.geometry.attributes.position.array;
+    const { velocities, ages, lifespans, life } = this;
+    const count = this.params.count;
+    const damping = Math.max(0, 1 - drag * dt);
+    const accel = EMITTER_FORCE_SCALE * dt;
+    const force = new THREE.Vector3();
+
+    for (let i = 0; i < count; i++) {
+      if (life[i] < 0) continue;
+      ages[i] += dt;
+      if (ages[i] >= lifespans[i]) {
+        life[i] = -1;
+        continue;
+      }
+      life[i] = ages[i] / lifespans[i];
+
+      const i3 = i * 3;
+      force.set(0, 0, 0);
+      for (const { field, strength } of fields) {
+        field.apply(
+          force,
+          positions[i3],
+          positions[i3 + 1],
+          positions[i3 + 2],
+          strength,
+          time,
+        );
+      }
+      for (let c = 0; c < 3; c++) {
+        velocities[i3 + c] =
+          (velocities[i3 + c] + force.getComponent(c) * accel) * damping;
+        positions[i3 + c] += velocities[i3 + c] * dt;
+      }
+    }
+
+    // Surface emitters launch from the shape being morphed to
+    const surface =
+      this.shapeTo && this.modelNormals
+        ? { positions: this.shapeTo, normals: this.modelNormals }
+        : null;
+    const speedScale = 1 + (audioData.bass || 0);
+    const particle = {
+      position: new THREE.Vector3(),
+      velocity: new THREE.Vector3(),
+    };
+
+    for (const emitter of this.emitters) {
+      const births = emitter.births(dt, audioData);
+      for (let n = 0; n < births; n++) {
+        const i = this._freeParticle();
+        if (i < 0) break; // every particle is alive
+        emitter.emit(particle, surface, speedScale, this.random);
+        particle.position.toArray(positions, i * 3);
+        // _updateTrails() already stored last frame's positions, so reset
+        // the newborn's too — no streak back to where it died
+        particle.position.toArray(this.previousPositions, i * 3);
+        particle.velocity.toArray(velocities, i * 3);
+        ages[i] = 0;
+        lifespans[i] = emitter.lifetime(this.random);
+        life[i] = 0;
+      }
+    }
+
+    this.geometry.attributes.position.needsUpdate = true;
+    this.geometry.attributes.aLife.needsUpdate = true;
+  }
+
+  /** Index of a dead particle, or -1 when all are alive */
+  _freeParticle() {
+    const count = this.params.count;
+    for (let n = 0; n < count; n++) {
+      const i = (this.spawnCursor + n) % count;
+      if (this.life[i] < 0) {
+        this.spawnCursor = (i + 1) % count;
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /** (Re)create the plexus for the current particles and simulation */
+  _setupPlexus() {
+    if (this.plexus) {
+      this.scene.remove(this.plexus.mesh);
+      this.plexus.dispose();
+    }
+
+    const count = this.params.count;
+    const nodes = Math.min(this.params.plexusNodes, count);
+    this.plexus = new PlexusLines(nodes, this.params.maxConnections);
+
+    // Particles are stored in spatial order, so an even stride spreads
+    // the nodes across the whole shape
+    const reference = this.geometry.attributes.aReference;
+    for (let k = 0; k < nodes; k++) {
+      const i = Math.floor((k * count) / nodes);
+      this.plexus.nodeIndices[k] = i;
+      if (reference) {
+        this.plexus.nodeReferences[k * 2] = reference.array[i * 2];
+        this.plexus.nodeReferences[k * 2 + 1] = reference.array[i * 2 + 1];
+      }
+    }
+    this.scene.add(this.plexus.mesh);
+  }
+
+  /**
+   * Reconnect the plexus nodes. Audio lengthens the lines (bass) and
+   * brightens them (level). With the GPU simulation, node positions
+   * aren't on the CPU — edges are found on the morph targets instead
+   * and drawn at the simulated positions.
+   */
+  _updatePlexus(audioData, shape) {
+    const plexus = this.plexus;
+    if (!plexus) return;
+
+    const distance =
+      this.params.connectionDistance * (1 + (audioData.bass || 0) * 0.5);
+    const opacity = Math.min(
+      1,
+      0.15 + (audioData.audioLevel || 0) * 0.6 + this.flashLevel,
+    );
+
+    const { nodeIndices, nodePositions, nodeColors } = plexus;
+    const position = new THREE.Vector3();
+    for (let k = 0; k < plexus.nodeCount; k++) {
+      const i = nodeIndices[k];
+      this._particlePosition(i, shape, position).toArray(nodePositions, k * 3);
+      for (let c = 0; c < 3; c++) {
+        // Dead particles (emitter mode) draw black — invisible when added
+        nodeColors[k * 3 + c] = this.life[i] < 0 ? 0 : this.colors[i * 3 + c];
+      }
+    }
+
+    const gpu = this.gpuSimulation !== null;
+    plexus.setPositionTexture(gpu ? this.gpuSimulation.texture : null);
+    plexus.update(distance, opacity);
+  }
+
+  /**
+   * Where particle i is: its simulated position on the CPU, or with the
+   * GPU simulation the target it is pulled towards (minus the noise).
+   */
+  _particlePosition(i, { breathing, stereoPan, stereoSpread }, out) {
+    const i3 = i * 3;
+    if (!this.gpuSimulation) {
+      return out.fromArray(this.geometry.attributes.position.array, i3);
+    }
+    out.fromArray(this.shapeFrom, i3);
+    if (this.shapeTo) {
+      out.lerp(_target.fromArray(this.shapeTo, i3), this.morphTarget);
+    }
+    out.x = out.x * (1 + stereoSpread) + stereoPan;
+    return out.multiplyScalar(breathing);
+  }
+
+  /**
+   * Pointer hits as force fields for this frame: repel / attract are
+   * point attractors, swirl a vortex around the pointer ray. Paint mode
+   * adds no force.
+   */
+  _updatePointerFields() {
+    const { mode, radius, falloff, strength } = this.pointer;
+    if (mode === "paint") return [];
+
+    const fields = this.pointerFields;
+    while (fields.length < this.pointers.length) {
+      fields.push(new ForceField("attractor"));
+    }
+    fields.length = this.pointers.length;
+
+    this.pointers.forEach((hit, n) => {
+      const field = fields[n];
+      field.type = mode === "swirl" ? "vortex" : "attractor";
+      field.strength =
+        strength * POINTER_STRENGTH[mode] * (mode === "repel" ? -1 : 1);
+      field.radius = radius;
+      field.falloff = falloff;
+      field.position.copy(hit.point);
+      field.direction.copy(hit.direction);
+    });
+    return fields;
+  }
+
+  /** Paint mode: tint particles near a pointer; paint fades over time */
+  _updatePaint(dt, shape) {
+    const paint = this.paint;
+    const painting = this.pointer.mode === "paint" && this.pointers.length;
+    if (!painting && !this.paintActive) return;
+
+    const { radius, falloff, strength } = this.pointer;
+    const fade = Math.exp(-dt / PAINT_FADE_TIME);
+    const position = new THREE.Vector3();
+    let active = false;
+
+    for (let i = 0; i < this.params.count; i++) {
+      let amount = paint[i] * fade;
+      if (painting) {
+        this._particlePosition(i, shape, position);
+        for (const hit of this.pointers) {
+          const d = position.distanceTo(hit.point);
+          if (d >= radius) continue;
+          const weight = Math.pow(1 - d / radius, falloff) * strength;
+          amount = Math.max(amount, Math.min(1, weight));
+        }
+      }
+      if (amount < 0.01) amount = 0;
+      else active = true;
+      paint[i] = amount;
+    }
+
+    this.paintActive = active;
+    this.geometry.attributes.aPaint.needsUpdate = true;
+  }
+
+  /**
+   * Smooth the spectrum (instant attack, exponential release) and upload
+   * the bin levels; each particle looks its bin up in the vertex shader.
+   * @param {Uint8Array | null} frequencyData  0–255 per bin
+   */
+  _updateSpectrum(frequencyData, dt) {
+    const bins = frequencyData ? frequencyData.length : 0;
+    if (bins && (!this.spectrumLevels || this.spectrumLevels.length !== bins)) {
+      this._createSpectrumTexture(bins);
+    }
+    const levels = this.spectrumLevels;
+    if (!levels) return;
+    const uniforms = this.material.uniforms;
+    if (uniforms.uSpectrumLevels.value !== this.spectrumTexture) {
+      // The material was rebuilt (new count or seed)
+      const { width, height } = this.spectrumTexture.image;
+      uniforms.uSpectrumLevels.value = this.spectrumTexture;
+      uniforms.uSpectrumSize.value.set(width, height);
+    }
+
+    const shape = this.shapeTo || this.shapeFrom;
+    if (shape !== this.binShape) this._mapBins(shape);
+
+    const { gain, decay } = this.spectrum;
+    const release = decay > 0 ? Math.exp(-dt / decay) : 0;
+    for (let b = 0; b < levels.length; b++) {
+      const level = frequencyData ? (frequencyData[b] / 255) * gain : 0;
+      levels[b] = Math.max(Math.min(1, level), levels[b] * release);
+    }
+    this.spectrumTexture.needsUpdate = true;
+  }
+
+  /** A float texture of `bins` levels, wrapped into rows of 256 */
+  _createSpectrumTexture(bins) {
+    if (this.spectrumTexture) this.spectrumTexture.dispose();
+    const width = Math.min(bins, 256);
+    const height = Math.ceil(bins / width);
+    const data = new Float32Array(width * height);
+    this.spectrumTexture = new THREE.DataTexture(
+      data,
+      width,
+      height,
+      THREE.RedFormat,
+      THREE.FloatType,
+    );
+    this.spectrumLevels = data.subarray(0, bins);
+    this.binShape = null;
+  }
+
+  /**
+   * Give every particle a bin key by the mapping strategy, measured on
+   * `shape` (the shape being formed), then a bin on a log-frequency scale
+   * so the bass doesn't get a sliver of the particles.
+   */
+  _mapBins(shape) {
+    const count = this.params.count;
+    const keys = new Float32Array(count);
+    const { mapping } = this.spectrum;
+
+    if (mapping === "random") {
+      const random = createRandom(`${this.params.seed}:bins`);
+      for (let i = 0; i < count; i++) keys[i] = random();
+    } else {
+      // Height (y), distance from the centre or angle from the bottom
+      // (mirrored left / right), normalised to 0–1
+      const measures = {
+        height: (i) => shape[i * 3 + 1],
+        distance: (i) =>
+          Math.hypot(shape[i * 3], shape[i * 3 + 1], shape[i * 3 + 2]),
+        angle: (i) => Math.abs(Math.atan2(shape[i * 3], -shape[i * 3 + 1])),
+      };
+      const measure = measures[mapping] || measures.height;
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = 0; i < count; i++) {
+        keys[i] = measure(i);
+        min = Math.min(min, keys[i]);
+        max = Math.max(max, keys[i]);
+      }
+      const range = max - min || 1;
+      for (let i = 0; i < count; i++) keys[i] = (keys[i] - min) / range;
+    }
+
+    // Bin 0 is DC — keys span bins 1 … n-1 logarithmically
+    const bins = this.spectrumLevels.length;
+    for (let i = 0; i < count; i++) {
+      this.binIndex[i] = Math.min(
+        bins - 1,
+        Math.floor(Math.pow(bins, keys[i])),
+      );
+    }
+    this.geometry.attributes.aBin.needsUpdate = true;
+    this.binShape = shape;
+  }
+
+  /** Brief white-out of all particles (e.g. on a MIDI trigger) */
+  flash(strength = 1) {
+    this.flashLevel = Math.max(this.flashLevel, Math.min(1, strength));
   }
 
   getParticleCount() {
     return this.params.count;
   }
 
-  setMouse(x, y) {
-    // Map normalized -1..1 to world units approx
-    this.mouse.x = x * 15;
-    this.mouse.y = y * 15;
+  /**
+   * Current pointer hits, e.g. from PointerInteraction.hits().
+   * @param {Array<{point: THREE.Vector3, direction: THREE.Vector3}>} hits
+   */
+  setPointers(hits) {
+    this.pointers = hits;
+  }
+
+  /**
+   * @param {object} options  mode ("repel" | "attract" | "swirl" |
+   *   "paint"), radius, falloff, strength, color (paint)
+   */
+  setPointerOptions({ color, ...options }) {
+    Object.assign(this.pointer, options);
+    if (color) this.pointer.color.set(color);
   }
 
   getMorphState() {
@@ -0,0 +1,176 @@
+/**
+ * Playlist — Ordered tracks with next/previous and gapless or crossfaded
+ * transitions, driving an AudioAnalyzer's decks. The next track is loaded
+ * and pre-analysed in the background while the current one plays.
+ */
+export class Playlist {
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+    this.tracks = []; // { file, name }
+    this.index = -1;
+
+    this.transition = "gapless"; // "gapless" | "crossfade"
+    this.crossfadeDuration = 4; // seconds
+    this.repeat = true;
+
+    // Callbacks
+    this.onTrackChange = null; // (track, index) => void
+    this.onAnalysisProgress = null; // (progress 0–1) => void
+    this.onError = null; // (error) => void, for track changes it starts
+
+    this._preloaded = null; // { index, promise }
+    this._transitioning = false;
+    this._crossfadeFailed = -1; // track whose crossfade out failed
+
+    analyzer.onEnded = () => this._handleEnded();
+  }
+
+  get current() {
+    return this.tracks[this.index] || null;
+  }
+
+  /** Append files; returns the index of the first one added */
+  add(files) {
+    const first = this.tracks.length;
+    for (const file of files) {
+      this.tracks.push({ file, name: file.name });
+    }
+    this._updateLooping();
+    this._preloadNext();
+    return first;
+  }
+
+  /**
+   * Make track `index` current.
+   * @param {object} [options]
+   * @param {boolean} [options.autoplay]  defaults to the current play state
+   * @param {"cut"|"crossfade"} [options.transition="cut"]
+   */
+  async load(index, options = {}) {
+    const track = this.tracks[index];
+    if (!track) return;
+
+    const autoplay = options.autoplay ?? this.analyzer.isPlaying;
+    const transition = options.transition || "cut";
+
+    const deck = await this._deckFor(index);
+    if (transition === "crossfade" && this.analyzer.isPlaying) {
+      this.analyzer.crossfadeTo(deck, this.crossfadeDuration);
+    } else {
+      this.analyzer.useDeck(deck);
+      if (autoplay) this.analyzer.play();
+    }
+
+    this.index = index;
+    this._crossfadeFailed = -1;
+    this._updateLooping();
+    if (this.onTrackChange) this.onTrackChange(track, index);
+    this._preloadNext();
+  }
+
+  next(options) {
+    const i = this._nextIndex();
+    return i >= 0 ? this.load(i, options) : Promise.resolve();
+  }
+
+  previous(options) {
+    // Like most players: restart the track unless we're near its start
+    if (this.analyzer.getCurrentTime() > 3 || this.tracks.length < 2) {
+      this.analyzer.seek(0);
+      return Promise.resolve();
+    }
+    const i = this.index > 0 ? this.index - 1 : this.tracks.length - 1;
+    return this.load(i, options);
+  }
+
+  /** Call once per frame — starts crossfades ahead of the track end */
+  update() {
+    if (
+      this.transition !== "crossfade" ||
+      this._transitioning ||
+      !this.analyzer.isPlaying ||
+      this.analyzer.sourceType !== "file" ||
+      this.analyzer.loopRegion ||
+      this._crossfadeFailed === this.index
+    ) {
+      return;
+    }
+
+    const remaining =
+      this.analyzer.getDuration() - this.analyzer.getCurrentTime();
+    if (remaining > this.crossfadeDuration || this._nextIndex() < 0) return;
+
+    this._transitioning = true;
+    this.next({ transition: "crossfade" })
+      .catch((error) => {
+        // Don't retry every frame — the end of the track tries again
+        this._crossfadeFailed = this.index;
+        this._reportError(error);
+      })
+      .finally(() => {
+        this._transitioning = false;
+      });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _nextIndex() {
+    if (this.index + 1 < this.tracks.length) return this.index + 1;
+    return this.repeat && this.tracks.length > 1 ? 0 : -1;
+  }
+
+  /** A one-track playlist on repeat simply loops its element */
+  _updateLooping() {
+    if (this.index < 0) return;
+    this.analyzer.setLooping(this.tracks.length === 1 && this.repeat);
+  }
+
+  async _deckFor(index) {
+    if (this._preloaded && this._preloaded.index === index) {
+      const { promise } = this._preloaded;
+      this._preloaded = null;
+      return promise;
+    }
+    return this.analyzer.loadDeck(
+      this.tracks[index].file,
+      this.onAnalysisProgress,
+    );
+  }
+
+  _preloadNext() {
+    const i = this._nextIndex();
+    if (this._preloaded && this._preloaded.index === i) return;
+
+    if (this._preloaded) {
+      const { promise } = this._preloaded;
+      promise.then(
+        (deck) => this.analyzer.disposeDeck(deck),
+        () => {},
+      );
+      this._preloaded = null;
+    }
+    if (i < 0 || i === this.index) return;
+
+    const promise = this.analyzer.loadDeck(this.tracks[i].file);
+    // Failures surface when the deck is actually requested
+    promise.catch(() => {});
+    this._preloaded = { index: i, promise };
+  }
+
+  _handleEnded() {
+    if (this._transitioning) return;
+    if (this._nextIndex() < 0) {
+      this.analyzer.pause();
+      return;
+    }
+    // Deck is already buffered, so the hand-over is effectively gapless
+    this.next({ autoplay: true }).catch((error) => this._reportError(error));
+  }
+
+  _reportError(error) {
+    if (this.onError) this.onError(error);
+    else console.error("Error loading audio:", error);
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * PlexusLines — Connection lines between nearby particles (the "plexus").
+ * A subset of particles act as nodes; neighbours are found through a
+ * spatial hash whose cells are one connection distance wide, so each node
+ * only tests the 27 cells around it instead of every other node.
+ */
+import * as THREE from "three";
+
+// ---------------------------------------------------------------------
+// Shaders: Edges
+// ---------------------------------------------------------------------
+
+const vertexShader = /* glsl */ `
+    uniform sampler2D uPositions;
+
+    attribute vec3 aColor;
+    attribute float aAlpha;
+    attribute vec2 aReference;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        vColor = aColor;
+        vAlpha = aAlpha;
+
+        // GPU simulation: endpoints follow their particles' texels
+        #ifdef USE_GPGPU
+            vec3 nodePosition = texture2D(uPositions, aReference).xyz;
+        #else
+            vec3 nodePosition = position;
+        #endif
+
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(nodePosition, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    uniform float uOpacity;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        gl_FragColor = vec4(vColor, vAlpha * uOpacity);
+    }
+`;
+
+// Large primes for hashing integer cell coordinates
+const HASH_X = 73856093;
+const HASH_Y = 19349663;
+const HASH_Z = 83492791;
+
+export class PlexusLines {
+  /**
+   * @param {number} nodeCount  particles that can carry lines
+   * @param {number} maxConnections  edge cap per node
+   */
+  constructor(nodeCount, maxConnections) {
+    this.nodeCount = nodeCount;
+    this.maxConnections = maxConnections;
+    this.maxEdges = Math.floor((nodeCount * maxConnections) / 2);
+    this.edgeCount = 0;
+
+    // Filled by the owner every frame
+    this.nodeIndices = new Uint32Array(nodeCount); // particle index per node
+    this.nodePositions = new Float32Array(nodeCount * 3);
+    this.nodeColors = new Float32Array(nodeCount * 3);
+    this.nodeReferences = new Float32Array(nodeCount * 2); // GPU texel UVs
+
+    // Spatial hash, rebuilt per frame (counting sort into buckets)
+    this.tableSize = 1 << Math.ceil(Math.log2(Math.max(2, nodeCount * 2)));
+    this.bucketStart = new Uint32Array(this.tableSize + 1);
+    this.bucketNodes = new Uint32Array(nodeCount);
+    this.nodeBuckets = new Uint32Array(nodeCount);
+    this.degree = new Uint8Array(nodeCount);
+
+    // Edge buffers: two vertices per edge
+    const vertices = this.maxEdges * 2;
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(new Float32Array(vertices * 3), 3),
+    );
+    this.geometry.setAttribute(
+      "aColor",
+      new THREE.BufferAttribute(new Float32Array(vertices * 3), 3),
+    );
+    this.geometry.setAttribute(
+      "aAlpha",
+      new THREE.BufferAttribute(new Float32Array(vertices), 1),
+    );
+    this.geometry.setAttribute(
+      "aReference",
+      new THREE.BufferAttribute(new Float32Array(vertices * 2), 2),
+    );
+    this.geometry.setDrawRange(0, 0);
+
+    this.material = new THREE.ShaderMaterial({
+      vertexShader,
+      fragmentShader,
+      uniforms: {
+        uOpacity: { value: 0 },
+        uPositions: { value: null },
+      },
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    this.mesh = new THREE.LineSegments(this.geometry, this.material);
+    // Endpoints may live in a texture — the attribute's bounds mean nothing
+    this.mesh.frustumCulled = false;
+  }
+
+  /**
+   * Read endpoints from the GPU simulation's position texture (using
+   * nodeReferences), or null to use nodePositions directly.
+   */
+  setPositionTexture(texture) {
+    const gpu = texture !== null;
+    if (gpu !== "USE_GPGPU" in this.material.defines) {
+      this.material.defines = gpu ? { USE_GPGPU: "" } : {};
+      this.material.needsUpdate = true;
+    }
+    this.material.uniforms.uPositions.value = texture;
+  }
+
+  /**
+   * Rebuild the edges from nodePositions / nodeColors.
+   * @param {number} distance  connection distance (world units)
+   * @param {number} opacity  overall line alpha
+   */
+  update(distance, opacity) {
+    this.material.uniforms.uOpacity.value = opacity;
+    if (distance <= 0 || this.maxEdges === 0 || opacity <= 0) {
+      this.clear();
+      return;
+    }
+
+    this._buildHash(distance);
+
+    const { nodePositions: p, degree, bucketStart, bucketNodes } = this;
+    const maxDistSq = distance * distance;
+    const inv = 1 / distance;
+    const buckets = [];
+    degree.fill(0);
+    this.edgeCount = 0;
+
+    for (let i = 0; i < this.nodeCount; i++) {
+      if (degree[i] >= this.maxConnections) continue;
+      const x = p[i * 3];
+      const y = p[i * 3 + 1];
+      const z = p[i * 3 + 2];
+      const cx = Math.floor(x * inv);
+      const cy = Math.floor(y * inv);
+      const cz = Math.floor(z * inv);
+
+      // Neighbouring cells can hash to the same bucket — visit each once
+      buckets.length = 0;
+      for (let ox = -1; ox <= 1; ox++) {
+        for (let oy = -1; oy <= 1; oy++) {
+          for (let oz = -1; oz <= 1; oz++) {
+            const bucket = this._hash(cx + ox, cy + oy, cz + oz);
+            if (!buckets.includes(bucket)) buckets.push(bucket);
+          }
+        }
+      }
+
+      for (const bucket of buckets) {
+        for (let b = bucketStart[bucket]; b < bucketStart[bucket + 1]; b++) {
+          const j = bucketNodes[b];
+          if (j <= i || degree[j] >= this.maxConnections) continue;
+          const dx = p[j * 3] - x;
+          const dy = p[j * 3 + 1] - y;
+          const dz = p[j * 3 + 2] - z;
+          const distSq = dx * dx + dy * dy + dz * dz;
+          if (distSq >= maxDistSq) continue;
+
+          this._addEdge(i, j, 1 - Math.sqrt(distSq) * inv);
+          degree[j]++;
+          if (++degree[i] >= this.maxConnections) break;
+        }
+        if (degree[i] >= this.maxConnections) break;
+      }
+    }
+
+    const attributes = this.geometry.attributes;
+    attributes.position.needsUpdate = true;
+    attributes.aColor.needsUpdate = true;
+    attributes.aAlpha.needsUpdate = true;
+    attributes.aReference.needsUpdate = true;
+    this.geometry.setDrawRange(0, this.edgeCount * 2);
+  }
+
+  clear() {
+    this.edgeCount = 0;
+    this.geometry.setDrawRange(0, 0);
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _hash(cx, cy, cz) {
+    return (
+      ((cx * HASH_X) ^ (cy * HASH_Y) ^ (cz * HASH_Z)) & (this.tableSize - 1)
+    );
+  }
+
+  /** Bucket every node by its cell (cell size = distance) */
+  _buildHash(distance) {
+    const { nodePositions: p, bucketStart, bucketNodes, nodeBuckets } = this;
+    const inv = 1 / distance;
+    bucketStart.fill(0);
+
+    for (let i = 0; i < this.nodeCount; i++) {
+      const bucket = this._hash(
+        Math.floor(p[i * 3] * inv),
+        Math.floor(p[i * 3 + 1] * inv),
+        Math.floor(p[i * 3 + 2] * inv),
+      );
+      nodeBuckets[i] = bucket;
+      bucketStart[bucket + 1]++;
+    }
+    for (let b = 0; b < this.tableSize; b++) {
+      bucketStart[b + 1] += bucketStart[b];
+    }
+    // Fill from the end of each bucket, so bucketStart ends up correct
+    const fill = bucketStart.slice(1);
+    for (let i = this.nodeCount - 1; i >= 0; i--) {
+      bucketNodes[--fill[nodeBuckets[i]]] = i;
+    }
+  }
+
+  /** Append edge i–j, faded by `alpha` (1 = touching, 0 = at the limit) */
+  _addEdge(i, j, alpha) {
+    const v = this.edgeCount * 2;
+    this._writeVertex(v, i, alpha);
+    this._writeVertex(v + 1, j, alpha);
+    this.edgeCount++;
+  }
+
+  _writeVertex(vertex, node, alpha) {
+    const { position, aColor, aAlpha, aReference } = this.geometry.attributes;
+    for (let c = 0; c < 3; c++) {
+      position.array[vertex * 3 + c] = this.nodePositions[node * 3 + c];
+      aColor.array[vertex * 3 + c] = this.nodeColors[node * 3 + c];
+    }
+    aReference.array[vertex * 2] = this.nodeReferences[node * 2];
+    aReference.array[vertex * 2 + 1] = this.nodeReferences[node * 2 + 1];
+    aAlpha.array[vertex] = alpha;
+  }
+}
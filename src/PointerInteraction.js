@@ -0,0 +1,93 @@
+/**
+ * PointerInteraction — Tracks every pointer over the canvas (mouse, pen and
+ * each touch) and casts it into the scene. A pointer lands on the model if
+ * its ray hits one, otherwise on a camera-facing plane through the orbit
+ * target, so interaction stays under the cursor from any camera angle.
+ */
+import * as THREE from "three";
+
+export class PointerInteraction {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {HTMLElement} domElement  the renderer's canvas
+   */
+  constructor(camera, domElement) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.pointers = new Map(); // pointerId → normalised device coords
+    this.targets = []; // Object3Ds the rays may hit (e.g. the model)
+    this.planeCenter = new THREE.Vector3(); // usually controls.target
+
+    this.raycaster = new THREE.Raycaster();
+    this.plane = new THREE.Plane();
+    this._normal = new THREE.Vector3();
+
+    this._onMove = (e) => this._track(e);
+    this._onDown = (e) => this._track(e);
+    this._onUp = (e) => {
+      // Touches end with the finger; mouse and pen stay until they leave
+      if (e.pointerType === "touch" || e.type !== "pointerup") {
+        this.pointers.delete(e.pointerId);
+      }
+    };
+    domElement.addEventListener("pointermove", this._onMove);
+    domElement.addEventListener("pointerdown", this._onDown);
+    domElement.addEventListener("pointerup", this._onUp);
+    domElement.addEventListener("pointercancel", this._onUp);
+    domElement.addEventListener("pointerleave", this._onUp);
+  }
+
+  /**
+   * World-space hit of every active pointer.
+   * @returns {Array<{point: THREE.Vector3, direction: THREE.Vector3}>}
+   *   direction is the (unit) ray direction
+   */
+  hits() {
+    const hits = [];
+    if (this.pointers.size === 0) return hits;
+
+    this.camera.getWorldDirection(this._normal);
+    this.plane.setFromNormalAndCoplanarPoint(this._normal, this.planeCenter);
+
+    for (const ndc of this.pointers.values()) {
+      this.raycaster.setFromCamera(ndc, this.camera);
+      const ray = this.raycaster.ray;
+
+      let point = null;
+      if (this.targets.length) {
+        const [hit] = this.raycaster.intersectObjects(this.targets, true);
+        if (hit) point = hit.point;
+      }
+      if (!point) point = ray.intersectPlane(this.plane, new THREE.Vector3());
+      if (point) hits.push({ point, direction: ray.direction.clone() });
+    }
+    return hits;
+  }
+
+  dispose() {
+    this.domElement.removeEventListener("pointermove", this._onMove);
+    this.domElement.removeEventListener("pointerdown", this._onDown);
+    this.domElement.removeEventListener("pointerup", this._onUp);
+    this.domElement.removeEventListener("pointercancel", this._onUp);
+    this.domElement.removeEventListener("pointerleave", this._onUp);
+    this.pointers.clear();
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _track(e) {
+    // A touch only counts while it is down
+    if (e.pointerType === "touch" && e.type === "pointermove") {
+      if (!this.pointers.has(e.pointerId)) return;
+    }
+    const rect = this.domElement.getBoundingClientRect();
+    const ndc = this.pointers.get(e.pointerId) || new THREE.Vector2();
+    ndc.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    this.pointers.set(e.pointerId, ndc);
+  }
+}
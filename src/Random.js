@@ -0,0 +1,44 @@
+/**
+ * Random — Seeded pseudo-random numbers. Everything that generates a scene
+ * draws from these instead of Math.random(), so the same seed rebuilds the
+ * same look, particle for particle.
+ */
+
+/** 32-bit FNV-1a hash of a seed's string form */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A mulberry32 generator, drop-in for Math.random.
+ * @param {number|string} seed  give independent streams their own seed,
+ *   e.g. `${seed}:scatter`, so one can't shift another
+ * @returns {() => number} uniform in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Uniform unit vector — Vector3.randomDirection() with its own source.
+ * @param {THREE.Vector3} out
+ * @param {() => number} [random=Math.random]
+ */
+export function randomDirection(out, random = Math.random) {
+  const u = (random() - 0.5) * 2;
+  const t = random() * Math.PI * 2;
+  const f = Math.sqrt(1 - u * u);
+  return out.set(f * Math.cos(t), f * Math.sin(t), u);
+}
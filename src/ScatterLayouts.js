@@ -0,0 +1,165 @@
+/**
+ * Scatter layouts — procedural shapes for ParticleSystem's "scattered"
+ * state. Each writes xyz per particle into `out` from its options and a
+ * random source, so the same seed lays out the same way. Every layout has
+ * a `radius` (overall extent); planar layouts face the default camera
+ * (XY plane).
+ */
+import * as THREE from "three";
+import { randomDirection } from "./Random.js";
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+const _v = new THREE.Vector3();
+
+/** Roughly normal (mean 0, sd ~0.5): sum of uniforms */
+function spread(random) {
+  return random() + random() + random() - 1.5;
+}
+
+export const SCATTER_LAYOUTS = {
+  /** Uniform random cube, side 2 × radius (the original scatter) */
+  cube: {
+    defaults: { radius: 7.5 },
+    generate(out, count, { radius }, random) {
+      for (let i = 0; i < count * 3; i++) {
+        out[i] = (random() - 0.5) * 2 * radius;
+      }
+    },
+  },
+
+  /** Points on a sphere, jittered radially by `thickness` */
+  sphereShell: {
+    defaults: { radius: 6, thickness: 0.15 },
+    generate(out, count, { radius, thickness }, random) {
+      for (let i = 0; i < count; i++) {
+        const r = radius + (random() - 0.5) * thickness;
+        randomDirection(_v, random)
+          .multiplyScalar(r)
+          .toArray(out, i * 3);
+      }
+    },
+  },
+
+  /** Uniform through the ball's volume */
+  sphere: {
+    defaults: { radius: 6 },
+    generate(out, count, { radius }, random) {
+      for (let i = 0; i < count; i++) {
+        const r = radius * Math.cbrt(random());
+        randomDirection(_v, random)
+          .multiplyScalar(r)
+          .toArray(out, i * 3);
+      }
+    },
+  },
+
+  /** Ring of radius `radius`, tube radius `tube` */
+  torus: {
+    defaults: { radius: 5, tube: 1.5 },
+    generate(out, count, { radius, tube }, random) {
+      for (let i = 0; i < count; i++) {
+        const u = random() * Math.PI * 2;
+        const v = random() * Math.PI * 2;
+        const r = tube * Math.sqrt(random());
+        const ring = radius + r * Math.cos(v);
+        out[i * 3] = ring * Math.cos(u);
+        out[i * 3 + 1] = ring * Math.sin(u);
+        out[i * 3 + 2] = r * Math.sin(v);
+      }
+    },
+  },
+
+  /** Spiral galaxy: `arms` logarithmic-ish arms twisted by `twist` turns */
+  galaxy: {
+    defaults: {
+      radius: 7,
+      arms: 3,
+      twist: 0.6,
+      armSpread: 0.5,
+      thickness: 0.4,
+    },
+    generate(
+      out,
+      count,
+      { radius, arms, twist, armSpread, thickness },
+      random,
+    ) {
+      for (let i = 0; i < count; i++) {
+        const d = Math.pow(random(), 1.5); // denser towards the core
+        const arm = Math.floor(random() * arms);
+        const angle =
+          (arm / arms) * Math.PI * 2 +
+          d * twist * Math.PI * 2 +
+          spread(random) * armSpread * (1 - d * 0.5);
+        const r = d * radius;
+        out[i * 3] = r * Math.cos(angle);
+        out[i * 3 + 1] = r * Math.sin(angle);
+        out[i * 3 + 2] = spread(random) * thickness * (1 - d * 0.7);
+      }
+    },
+  },
+
+  /** Evenly spaced sphere points along a golden-angle spiral */
+  fibonacci: {
+    defaults: { radius: 6 },
+    generate(out, count, { radius }) {
+      for (let i = 0; i < count; i++) {
+        const y = count > 1 ? 1 - (i / (count - 1)) * 2 : 0;
+        const r = Math.sqrt(1 - y * y);
+        const theta = i * GOLDEN_ANGLE;
+        out[i * 3] = Math.cos(theta) * r * radius;
+        out[i * 3 + 1] = y * radius;
+        out[i * 3 + 2] = Math.sin(theta) * r * radius;
+      }
+    },
+  },
+
+  /** Uniform flat disc, `thickness` deep */
+  disc: {
+    defaults: { radius: 7, thickness: 0.1 },
+    generate(out, count, { radius, thickness }, random) {
+      for (let i = 0; i < count; i++) {
+        const r = radius * Math.sqrt(random());
+        const angle = random() * Math.PI * 2;
+        out[i * 3] = r * Math.cos(angle);
+        out[i * 3 + 1] = r * Math.sin(angle);
+        out[i * 3 + 2] = (random() - 0.5) * thickness;
+      }
+    },
+  },
+
+  /** Cubic lattice, side 2 × radius, optionally jittered */
+  grid: {
+    defaults: { radius: 6, jitter: 0 },
+    generate(out, count, { radius, jitter }, random) {
+      const n = Math.max(2, Math.ceil(Math.cbrt(count)));
+      const step = (radius * 2) / (n - 1);
+      for (let i = 0; i < count; i++) {
+        const x = i % n;
+        const y = Math.floor(i / n) % n;
+        const z = Math.floor(i / (n * n));
+        out[i * 3] = -radius + x * step + (random() - 0.5) * jitter;
+        out[i * 3 + 1] = -radius + y * step + (random() - 0.5) * jitter;
+        out[i * 3 + 2] = -radius + z * step + (random() - 0.5) * jitter;
+      }
+    },
+  },
+
+  /**
+   * Flat ring `width` wide — pair with the "angle" spectrum mapping for a
+   * radial spectrum (lows at the bottom, highs at the top).
+   */
+  spectrumRing: {
+    defaults: { radius: 5, width: 0.6, thickness: 0.3 },
+    generate(out, count, { radius, width, thickness }, random) {
+      for (let i = 0; i < count; i++) {
+        const angle = random() * Math.PI * 2;
+        const r = radius + (random() - 0.5) * width;
+        out[i * 3] = r * Math.cos(angle);
+        out[i * 3 + 1] = r * Math.sin(angle);
+        out[i * 3 + 2] = (random() - 0.5) * thickness;
+      }
+    },
+  },
+};
@@ -0,0 +1,150 @@
+/**
+ * SpectralFeatures — Per-frame timbre and loudness descriptors computed from
+ * the analyser's float spectrum (dB) and time-domain waveform.
+ */
+
+// Below this RMS the frame is treated as silence (≈ -80 dBFS)
+const SILENCE_RMS = 1e-4;
+const MIN_HZ = 20;
+
+export class SpectralFeatures {
+  constructor() {
+    this.magnitudes = null;
+    this.prevMagnitudes = null;
+    this.reset();
+  }
+
+  /** Clear values and the previous spectrum (no flux spike after a seek) */
+  reset() {
+    if (this.prevMagnitudes) this.prevMagnitudes.fill(0);
+    this.hasPrevious = false;
+
+    // Public per-frame values
+    this.flux = 0; // 0–1, share of spectral energy that is new this frame
+    this.centroid = 0; // Hz — "brightness"
+    this.centroidNorm = 0; // 0–1 on a log-frequency scale
+    this.rolloff = 0; // Hz below which 85 % of the energy lies
+    this.rolloffNorm = 0; // 0–1 on a log-frequency scale
+    this.flatness = 0; // 0 = tonal, 1 = noise-like
+    this.rms = 0; // linear, 0–1
+    this.peak = 0; // linear, 0–1
+    this.loudness = -Infinity; // RMS in dBFS
+  }
+
+  /**
+   * @param {Float32Array} spectrumDb  analyser.getFloatFrequencyData output
+   * @param {Float32Array} waveform    analyser.getFloatTimeDomainData output
+   * @param {number} sampleRate
+   */
+  update(spectrumDb, waveform, sampleRate) {
+    const n = spectrumDb.length;
+    if (!this.magnitudes || this.magnitudes.length !== n) {
+      this.magnitudes = new Float32Array(n);
+      this.prevMagnitudes = new Float32Array(n);
+    }
+
+    this._loudness(waveform);
+
+    if (this.rms < SILENCE_RMS) {
+      this.flux = 0;
+      this.centroid = 0;
+      this.centroidNorm = 0;
+      this.rolloff = 0;
+      this.rolloffNorm = 0;
+      this.flatness = 0;
+      this.prevMagnitudes.fill(0);
+      return this;
+    }
+
+    const mags = this.magnitudes;
+    for (let i = 0; i < n; i++) {
+      mags[i] = Number.isFinite(spectrumDb[i]) ? 10 ** (spectrumDb[i] / 20) : 0;
+    }
+
+    const binHz = sampleRate / (n * 2);
+    const nyquist = sampleRate / 2;
+
+    let sum = 0;
+    let weighted = 0;
+    let energy = 0;
+    let logSum = 0;
+    let rising = 0;
+    for (let i = 0; i < n; i++) {
+      const m = mags[i];
+      const p = m * m;
+      sum += m;
+      weighted += m * i * binHz;
+      energy += p;
+      logSum += Math.log(p + 1e-12);
+
+      const d = m - this.prevMagnitudes[i];
+      if (d > 0) rising += d;
+    }
+
+    this.flux = sum > 0 ? Math.min(1, rising / sum) : 0;
+    this.centroid = sum > 0 ? weighted / sum : 0;
+    this.flatness = energy > 0 ? Math.exp(logSum / n) / (energy / n) : 0;
+
+    // Rolloff: first bin where cumulative energy passes 85 %
+    const limit = energy * 0.85;
+    let cumulative = 0;
+    let rolloffBin = n - 1;
+    for (let i = 0; i < n; i++) {
+      cumulative += mags[i] * mags[i];
+      if (cumulative >= limit) {
+        rolloffBin = i;
+        break;
+      }
+    }
+    this.rolloff = rolloffBin * binHz;
+
+    this.centroidNorm = this._logNorm(this.centroid, nyquist);
+    this.rolloffNorm = this._logNorm(this.rolloff, nyquist);
+
+    // The first frame after a reset has nothing to compare against
+    if (!this.hasPrevious) this.flux = 0;
+    this.hasPrevious = true;
+
+    this.prevMagnitudes.set(mags);
+    return this;
+  }
+
+  /** Plain-object copy of the current values */
+  toJSON() {
+    return {
+      flux: this.flux,
+      centroid: this.centroid,
+      centroidNorm: this.centroidNorm,
+      rolloff: this.rolloff,
+      rolloffNorm: this.rolloffNorm,
+      flatness: this.flatness,
+      rms: this.rms,
+      peak: this.peak,
+      loudness: this.loudness,
+    };
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _loudness(waveform) {
+    let sq = 0;
+    let peak = 0;
+    for (let i = 0; i < waveform.length; i++) {
+      const v = waveform[i];
+      sq += v * v;
+      const a = Math.abs(v);
+      if (a > peak) peak = a;
+    }
+    this.rms = Math.sqrt(sq / waveform.length);
+    this.peak = Math.min(1, peak);
+    this.loudness = this.rms > 0 ? 20 * Math.log10(this.rms) : -Infinity;
+  }
+
+  /** Map a frequency to 0–1 between MIN_HZ and Nyquist on a log scale */
+  _logNorm(hz, nyquist) {
+    if (hz <= MIN_HZ) return 0;
+    return Math.min(1, Math.log(hz / MIN_HZ) / Math.log(nyquist / MIN_HZ));
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * SurfaceTracker — Keeps a model's surface samples attached to it while it
+ * moves. Each sample remembers its mesh, triangle and barycentric weights
+ * from MeshSampler; update() re-evaluates them from the current pose —
+ * node animation, skinning and morph targets included — writing into the
+ * morph target's arrays in place.
+ */
+import * as THREE from "three";
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _ab = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+export class SurfaceTracker {
+  /**
+   * @param {THREE.Object3D} root  the sampled model
+   * @param {number} count  samples
+   */
+  constructor(root, count) {
+    this.root = root;
+    this.count = count;
+    this.meshes = []; // meshes samples lie on
+    this.meshIndex = new Uint16Array(count); // into meshes, per sample
+    this.vertices = new Uint32Array(count * 3); // triangle corners
+    this.weights = new Float32Array(count * 3); // barycentric
+    this.offsets = new Float32Array(count); // distance along the normal
+    this.positions = null; // target arrays update() writes
+    this.normals = null;
+
+    this._world = []; // per mesh: Float32Array of posed vertex positions
+    this._used = []; // per mesh: Uint32Array of vertices samples touch
+  }
+
+  /**
+   * Remember sample `i`.
+   * @param {object} sample  filled by MeshSampler.sample() with `mesh`,
+   *   `face` and `barycoord`
+   * @param {number} offset  how far it was pushed along the normal
+   */
+  record(i, sample, offset) {
+    let m = this.meshes.indexOf(sample.mesh);
+    if (m === -1) m = this.meshes.push(sample.mesh) - 1;
+    this.meshIndex[i] = m;
+    const { a, b, c } = sample.face;
+    this.vertices.set([a, b, c], i * 3);
+    sample.barycoord.toArray(this.weights, i * 3);
+    this.offsets[i] = offset;
+  }
+
+  /**
+   * Follow the target's sample order and write into its arrays from now on.
+   * @param {Float32Array} positions
+   * @param {Float32Array} normals
+   * @param {Uint32Array} order  order[k] = recorded sample of target item k
+   */
+  attach(positions, normals, order) {
+    const meshIndex = new Uint16Array(this.count);
+    const vertices = new Uint32Array(this.count * 3);
+    const weights = new Float32Array(this.count * 3);
+    const offsets = new Float32Array(this.count);
+    for (let k = 0; k < this.count; k++) {
+      const i = order[k];
+      meshIndex[k] = this.meshIndex[i];
+      offsets[k] = this.offsets[i];
+      for (let c = 0; c < 3; c++) {
+        vertices[k * 3 + c] = this.vertices[i * 3 + c];
+        weights[k * 3 + c] = this.weights[i * 3 + c];
+      }
+    }
+    Object.assign(this, { meshIndex, vertices, weights, offsets });
+    this.positions = positions;
+    this.normals = normals;
+
+    // Only the vertices samples touch are posed each frame
+    const used = this.meshes.map(() => new Set());
+    for (let k = 0; k < this.count; k++) {
+      const set = used[meshIndex[k]];
+      for (let c = 0; c < 3; c++) set.add(vertices[k * 3 + c]);
+    }
+    this._used = used.map((set) => Uint32Array.from(set));
+    this._world = this.meshes.map(
+      (mesh) => new Float32Array(mesh.geometry.attributes.position.count * 3),
+    );
+  }
+
+  /** Re-evaluate every sample from the meshes' current pose */
+  update() {
+    this.meshes.forEach((mesh, m) => {
+      const world = this._world[m];
+      for (const index of this._used[m]) {
+        mesh
+          .getVertexPosition(index, _a)
+          .applyMatrix4(mesh.matrixWorld)
+          .toArray(world, index * 3);
+      }
+    });
+
+    const { positions, normals, vertices, weights } = this;
+    for (let k = 0; k < this.count; k++) {
+      const world = this._world[this.meshIndex[k]];
+      const k3 = k * 3;
+      _a.fromArray(world, vertices[k3] * 3);
+      _b.fromArray(world, vertices[k3 + 1] * 3);
+      _c.fromArray(world, vertices[k3 + 2] * 3);
+
+      // Face normal of the posed triangle
+      _ab.subVectors(_b, _a);
+      _ac.subVectors(_c, _a);
+      _normal.crossVectors(_ab, _ac).normalize();
+
+      _a.multiplyScalar(weights[k3])
+        .addScaledVector(_b, weights[k3 + 1])
+        .addScaledVector(_c, weights[k3 + 2])
+        .addScaledVector(_normal, this.offsets[k])
+        .toArray(positions, k3);
+      _normal.toArray(normals, k3);
+    }
+  }
+}
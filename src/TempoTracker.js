@@ -0,0 +1,263 @@
+/**
+ * TempoTracker — Real-time tempo (BPM) estimation with beat-phase prediction.
+ * The onset envelope is resampled to a fixed rate, its autocorrelation gives
+ * the beat period, and a phase-locked loop nudges the beat grid onto onsets.
+ */
+export class TempoTracker {
+  constructor(options = {}) {
+    this.minBpm = options.minBpm || 70;
+    this.maxBpm = options.maxBpm || 180;
+    this.beatsPerBar = options.beatsPerBar || 4;
+    this.envelopeRate = options.envelopeRate || 60; // samples per second
+    this.windowSeconds = options.windowSeconds || 8;
+
+    // Confidence above which the grid is considered locked
+    this.lockThreshold = 0.5;
+    // Seconds between tempo re-estimates
+    this.estimateInterval = 0.5;
+
+    this.reset();
+  }
+
+  reset() {
+    const size = Math.round(this.envelopeRate * this.windowSeconds);
+    this.envelope = new Float32Array(size);
+    this.writeIndex = 0;
+    this.filled = 0;
+
+    this.lastTime = null;
+    this.pendingSamples = 0;
+    this.onsetPeak = 0;
+    this.sinceEstimate = 0;
+    this.lastOnsetTime = -Infinity;
+
+    // Public state
+    this.bpm = 120;
+    this.beatPhase = 0; // 0–1 within the current beat
+    this.barPhase = 0; // 0–1 within the current bar
+    this.confidence = 0; // 0–1
+    this.isBeat = false;
+    this.isDownbeat = false;
+
+    // Tempo change hysteresis
+    this.candidateBpm = 0;
+    this.candidateCount = 0;
+
+    // Downbeat estimation — decaying bass energy per beat slot
+    this.beatCount = 0;
+    this.slotEnergy = new Float32Array(this.beatsPerBar);
+    this.slotPeak = 0;
+    this.slotOpen = true;
+    this.downbeatSlot = 0;
+  }
+
+  get isLocked() {
+    return this.confidence >= this.lockThreshold;
+  }
+
+  /**
+   * Feed one analysis frame.
+   * @param {number} onset  onset strength (e.g. spectral flux), 0–1
+   * @param {number} bass   bass energy, 0–1 (used for downbeat placement)
+   * @param {number} time   seconds
+   */
+  update(onset, bass, time) {
+    this.isBeat = false;
+    this.isDownbeat = false;
+
+    if (this.lastTime === null) {
+      this.lastTime = time;
+      return;
+    }
+    // Clamp dt so a stalled tab doesn't fling the phase around
+    const dt = Math.min(Math.max(time - this.lastTime, 0), 0.25);
+    this.lastTime = time;
+    if (dt === 0) return;
+
+    this._resample(onset, dt);
+
+    this.sinceEstimate += dt;
+    if (this.sinceEstimate >= this.estimateInterval) {
+      this.sinceEstimate = 0;
+      this._estimateTempo();
+    }
+
+    this._advancePhase(dt, bass);
+    this._correctPhase(onset, time);
+
+    const beatInBar =
+      (this.beatCount - this.downbeatSlot + this.beatsPerBar * 64) %
+      this.beatsPerBar;
+    this.barPhase = (beatInBar + this.beatPhase) / this.beatsPerBar;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  /** Hold the per-frame onset peak into fixed-rate envelope samples */
+  _resample(onset, dt) {
+    this.onsetPeak = Math.max(this.onsetPeak, onset);
+    this.pendingSamples += dt * this.envelopeRate;
+    while (this.pendingSamples >= 1) {
+      this.envelope[this.writeIndex] = this.onsetPeak;
+      this.writeIndex = (this.writeIndex + 1) % this.envelope.length;
+      this.filled = Math.min(this.filled + 1, this.envelope.length);
+      this.pendingSamples -= 1;
+      this.onsetPeak = onset;
+    }
+  }
+
+  /** Envelope in chronological order, mean removed */
+  _orderedEnvelope() {
+    const n = this.filled;
+    const size = this.envelope.length;
+    const out = new Float32Array(n);
+    let mean = 0;
+    for (let i = 0; i < n; i++) {
+      out[i] = this.envelope[(this.writeIndex - n + i + size) % size];
+      mean += out[i];
+    }
+    mean /= n;
+    for (let i = 0; i < n; i++) out[i] -= mean;
+    return out;
+  }
+
+  _autocorrelate(x, lag) {
+    let sum = 0;
+    for (let i = lag; i < x.length; i++) sum += x[i] * x[i - lag];
+    return sum / (x.length - lag);
+  }
+
+  _estimateTempo() {
+    const rate = this.envelopeRate;
+    const maxLag = Math.ceil((60 * rate) / this.minBpm);
+    if (this.filled < maxLag * 2) return;
+
+    const x = this._orderedEnvelope();
+    const energy = this._autocorrelate(x, 0);
+
+    // Near-silence (breakdown, intro): hold tempo and phase, let confidence sag
+    if (energy < 1e-5) {
+      this.confidence *= 0.9;
+      return;
+    }
+
+    const minLag = Math.floor((60 * rate) / this.maxBpm);
+    const preferredLag = (60 * rate) / 120;
+    const scores = new Float32Array(maxLag + 2);
+
+    let bestLag = minLag;
+    let bestScore = -Infinity;
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      // Comb over the first two multiples reinforces the true period
+      let acf = this._autocorrelate(x, lag);
+      if (lag * 2 < x.length) acf += 0.5 * this._autocorrelate(x, lag * 2);
+
+      const octaves = Math.log2(lag / preferredLag);
+      scores[lag] = acf * Math.exp(-0.5 * octaves * octaves);
+
+      if (lag >= minLag && lag <= maxLag && scores[lag] > bestScore) {
+        bestScore = scores[lag];
+        bestLag = lag;
+      }
+    }
+
+    // Parabolic interpolation for sub-sample period precision
+    const a = scores[bestLag - 1];
+    const b = scores[bestLag];
+    const c = scores[bestLag + 1];
+    const denom = a - 2 * b + c;
+    const offset = denom !== 0 ? (0.5 * (a - c)) / denom : 0;
+    const lag = bestLag + Math.max(-0.5, Math.min(0.5, offset));
+
+    const estimate = (60 * rate) / lag;
+    const strength = Math.max(
+      0,
+      Math.min(1, this._autocorrelate(x, bestLag) / energy),
+    );
+    this._acceptTempo(estimate, strength);
+  }
+
+  /** Blend agreeing estimates; switch tempo only after repeated agreement */
+  _acceptTempo(estimate, strength) {
+    const agrees = Math.abs(estimate - this.bpm) / this.bpm < 0.04;
+
+    if (this.confidence < 0.1 && !agrees) {
+      // Nothing locked yet — take the estimate as a starting point
+      this.bpm = estimate;
+      this.candidateCount = 0;
+    } else if (agrees) {
+      this.bpm += (estimate - this.bpm) * 0.2;
+      this.candidateCount = 0;
+    } else {
+      const sameCandidate =
+        Math.abs(estimate - this.candidateBpm) / this.candidateBpm < 0.04;
+      this.candidateCount = sameCandidate ? this.candidateCount + 1 : 1;
+      this.candidateBpm = estimate;
+      if (this.candidateCount >= 4) {
+        this.bpm = estimate;
+        this.candidateCount = 0;
+        this.confidence *= 0.5;
+      }
+    }
+
+    const target = agrees ? strength : strength * 0.3;
+    this.confidence = this.confidence * 0.7 + target * 0.3;
+  }
+
+  _advancePhase(dt, bass) {
+    this.beatPhase += (dt * this.bpm) / 60;
+
+    // Strongest bass in the first quarter of each beat scores its slot
+    if (this.slotOpen) this.slotPeak = Math.max(this.slotPeak, bass);
+    if (this.slotOpen && this.beatPhase >= 0.25) {
+      const slot = this.beatCount % this.beatsPerBar;
+      this.slotEnergy[slot] = this.slotEnergy[slot] * 0.9 + this.slotPeak;
+      this.slotOpen = false;
+
+      let best = 0;
+      for (let s = 1; s < this.beatsPerBar; s++) {
+        if (this.slotEnergy[s] > this.slotEnergy[best]) best = s;
+      }
+      this.downbeatSlot = best;
+    }
+
+    if (this.beatPhase >= 1) {
+      this.beatPhase -= Math.floor(this.beatPhase);
+      this.beatCount++;
+      this.slotOpen = true;
+      this.slotPeak = 0;
+
+      this.isBeat = this.isLocked;
+      this.isDownbeat =
+        this.isBeat && this.beatCount % this.beatsPerBar === this.downbeatSlot;
+    }
+  }
+
+  /** Pull the phase towards 0 when an onset peak lands near a beat */
+  _correctPhase(onset, time) {
+    let mean = 0;
+    let sq = 0;
+    for (let i = 0; i < this.filled; i++) {
+      mean += this.envelope[i];
+      sq += this.envelope[i] * this.envelope[i];
+    }
+    if (this.filled === 0) return;
+    mean /= this.filled;
+    const std = Math.sqrt(Math.max(0, sq / this.filled - mean * mean));
+
+    const minGap = 30 / this.bpm; // half a beat
+    if (onset < mean + 1.5 * std || time - this.lastOnsetTime < minGap) return;
+    this.lastOnsetTime = time;
+
+    const error = this.beatPhase > 0.5 ? this.beatPhase - 1 : this.beatPhase;
+    const locked = this.isLocked;
+    const window = locked ? 0.2 : 0.5;
+    const gain = locked ? 0.1 : 0.4;
+    if (Math.abs(error) < window) {
+      // |error * gain| < 0.5, so this never wraps across a beat boundary
+      this.beatPhase -= error * gain;
+    }
+  }
+}
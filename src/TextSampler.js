@@ -0,0 +1,163 @@
+/**
+ * TextSampler — Random points on rasterised text, with the same sample()
+ * interface as MeshSampler so text can be a morph target. The string is
+ * drawn to a 2D canvas; samples come from the glyph fill or just its
+ * edges, extruded through `depth` along z. Text is centred on the origin
+ * in the XY plane, facing the default camera.
+ */
+
+// Raster font size in pixels — more is sharper and slower
+const RASTER_SIZE = 128;
+
+// Canvas margin so edge detection never touches the border
+const PADDING = 4;
+
+export const TEXT_DEFAULTS = {
+  font: "Inter, sans-serif", // CSS font-family (load web fonts first)
+  weight: "700",
+  size: 1.2, // world units per line (the em)
+  maxWidth: 10, // shrink longer text to fit this wide
+  align: "center", // "left" | "center" | "right" (multi-line)
+  letterSpacing: 0, // extra space between letters, in em
+  lineHeight: 1.2, // line pitch, in em
+  depth: 0.3, // extrusion through z
+  sample: "fill", // "fill" | "edges"
+  color: "#ffffff",
+};
+
+export class TextSampler {
+  /**
+   * @param {string} text  "\n" starts a new line
+   * @param {object} [options]  see TEXT_DEFAULTS
+   */
+  constructor(text, options = {}) {
+    this.options = { ...TEXT_DEFAULTS, ...options };
+    this.width = 0; // raster size in pixels
+    this.height = 0;
+    this.scale = 0; // world units per pixel
+    this.pixels = new Uint32Array(0); // indices of sampled pixels
+
+    this._rasterize(String(text));
+  }
+
+  /** Pixels samples are drawn from (0 = nothing to sample) */
+  get pixelCount() {
+    return this.pixels.length;
+  }
+
+  /**
+   * Draw one point.
+   * @param {object} out  { position: Vector3, normal: Vector3,
+   *   color: Color } — filled in place
+   * @param {() => number} [random=Math.random]
+   * @returns {object} out
+   */
+  sample(out, random = Math.random) {
+    const { pixels, width, height, scale } = this;
+    const pixel = pixels[Math.floor(random() * pixels.length)];
+    const x = (pixel % width) + random();
+    const y = Math.floor(pixel / width) + random();
+
+    out.position.set(
+      (x - width / 2) * scale,
+      (height / 2 - y) * scale,
+      (random() - 0.5) * this.options.depth,
+    );
+    out.normal.set(0, 0, 1);
+    out.color.set(this.options.color);
+    return out;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _rasterize(text) {
+    const { font, weight, size, maxWidth, align, letterSpacing, lineHeight } =
+      this.options;
+    const lines = text.split("\n");
+    const canvas = this._createCanvas();
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    const cssFont = `${weight} ${RASTER_SIZE}px ${font}`;
+    const spacing = letterSpacing * RASTER_SIZE;
+    const pitch = lineHeight * RASTER_SIZE;
+
+    ctx.font = cssFont;
+    const lineWidths = lines.map((line) => this._measure(ctx, line, spacing));
+    const width = Math.ceil(Math.max(1, ...lineWidths)) + PADDING * 2;
+    const height = Math.ceil(pitch * lines.length) + PADDING * 2;
+
+    // Resizing resets the context state
+    canvas.width = width;
+    canvas.height = height;
+    ctx.font = cssFont;
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#ffffff";
+
+    lines.forEach((line, l) => {
+      const free = width - PADDING * 2 - lineWidths[l];
+      const x =
+        PADDING + (align === "left" ? 0 : align === "right" ? free : free / 2);
+      const y = PADDING + pitch * (l + 0.5);
+      this._draw(ctx, line, x, y, spacing);
+    });
+
+    this.width = width;
+    this.height = height;
+    this.scale = Math.min(
+      size / RASTER_SIZE,
+      maxWidth / Math.max(1, width - PADDING * 2),
+    );
+    this.pixels = this._collect(ctx.getImageData(0, 0, width, height).data);
+  }
+
+  _createCanvas() {
+    if (typeof OffscreenCanvas !== "undefined") {
+      return new OffscreenCanvas(1, 1);
+    }
+    return document.createElement("canvas");
+  }
+
+  /** Line width in pixels; with extra spacing letters are placed one by one */
+  _measure(ctx, line, spacing) {
+    if (spacing === 0) return ctx.measureText(line).width;
+    const chars = [...line];
+    const width = chars.reduce((w, c) => w + ctx.measureText(c).width, 0);
+    return width + spacing * Math.max(0, chars.length - 1);
+  }
+
+  _draw(ctx, line, x, y, spacing) {
+    if (spacing === 0) {
+      ctx.fillText(line, x, y);
+      return;
+    }
+    for (const char of line) {
+      ctx.fillText(char, x, y);
+      x += ctx.measureText(char).width + spacing;
+    }
+  }
+
+  /** Indices of inked pixels — all of them, or those next to a blank one */
+  _collect(data) {
+    const { width, height } = this;
+    const edges = this.options.sample === "edges";
+    const inked = (x, y) => data[(y * width + x) * 4 + 3] > 127;
+    const pixels = [];
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        if (!inked(x, y)) continue;
+        if (
+          edges &&
+          inked(x - 1, y) &&
+          inked(x + 1, y) &&
+          inked(x, y - 1) &&
+          inked(x, y + 1)
+        ) {
+          continue;
+        }
+        pixels.push(y * width + x);
+      }
+    }
+    return Uint32Array.from(pixels);
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * TrackAnalyzer — Offline pre-analysis of a decoded track.
+ * Produces a TrackTimeline of per-frame band energies, onsets, beats and
+ * downbeats that can be looked up by playback time.
+ */
+import { FFT } from "./FFT.js";
+
+// Band edges in Hz (independent of sample rate)
+const BAND_EDGES = {
+  bass: [20, 250],
+  mid: [250, 4000],
+  treble: [4000, 11000],
+};
+
+/** Index of the last element <= value in a sorted array (-1 if none) */
+function lowerIndex(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length - 1;
+  let result = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= value) {
+      result = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return result;
+}
+
+/* -------------------------------------------------------------------- */
+/*  Timeline                                                             */
+/* -------------------------------------------------------------------- */
+
+export class TrackTimeline {
+  constructor({
+    sampleRate,
+    hopSize,
+    duration,
+    bands,
+    onsetStrength,
+    rms,
+    onsets,
+    beats,
+    downbeats,
+    bpm,
+  }) {
+    this.sampleRate = sampleRate;
+    this.hopSize = hopSize;
+    this.frameRate = sampleRate / hopSize;
+    this.duration = duration;
+    this.frameCount = onsetStrength.length;
+
+    this.bands = bands; // { bass, mid, treble } → Float32Array (0–1)
+    this.onsetStrength = onsetStrength; // Float32Array (0–1)
+    this.rms = rms; // Float32Array (0–1), per-frame level for waveforms
+    this.onsets = onsets; // Float32Array of times (s)
+    this.beats = beats; // Float32Array of times (s)
+    this.downbeats = downbeats; // Float32Array of times (s)
+    this.bpm = bpm;
+  }
+
+  frameIndex(time) {
+    const i = Math.floor(time * this.frameRate);
+    return Math.max(0, Math.min(this.frameCount - 1, i));
+  }
+
+  /** Onset strength (0–1) at a playback time */
+  onsetAt(time) {
+    return this.onsetStrength[this.frameIndex(time)];
+  }
+
+  /** First beat strictly after `time`, or null */
+  nextBeat(time) {
+    const i = lowerIndex(this.beats, time) + 1;
+    return i < this.beats.length ? this.beats[i] : null;
+  }
+
+  /** Last beat at or before `time`, or null */
+  previousBeat(time) {
+    const i = lowerIndex(this.beats, time);
+    return i >= 0 ? this.beats[i] : null;
+  }
+
+  /** Beat times in the half-open interval (from, to] */
+  beatsBetween(from, to) {
+    const start = lowerIndex(this.beats, from) + 1;
+    const end = lowerIndex(this.beats, to) + 1;
+    return this.beats.subarray(start, end);
+  }
+
+  /** 0–1 position between the surrounding beats */
+  beatPhase(time) {
+    return this._phaseIn(this.beats, time);
+  }
+
+  /** 0–1 position between the surrounding downbeats */
+  barPhase(time) {
+    return this._phaseIn(this.downbeats, time);
+  }
+
+  isDownbeat(beatTime) {
+    const i = lowerIndex(this.downbeats, beatTime);
+    return i >= 0 && Math.abs(this.downbeats[i] - beatTime) < 1e-4;
+  }
+
+  _phaseIn(times, time) {
+    const i = lowerIndex(times, time);
+    if (i < 0 || i + 1 >= times.length) return 0;
+    return (time - times[i]) / (times[i + 1] - times[i]);
+  }
+}
+
+/* -------------------------------------------------------------------- */
+/*  Analyzer                                                             */
+/* -------------------------------------------------------------------- */
+
+export class TrackAnalyzer {
+  constructor(options = {}) {
+    this.frameSize = options.frameSize || 1024;
+    this.hopSize = options.hopSize || 512;
+    this.minBpm = options.minBpm || 60;
+    this.maxBpm = options.maxBpm || 180;
+    this.beatsPerBar = options.beatsPerBar || 4;
+
+    // Frames analysed between yields to the event loop
+    this.chunkFrames = 512;
+  }
+
+  /**
+   * Analyse a decoded AudioBuffer.
+   * @param {AudioBuffer} buffer
+   * @param {(progress: number) => void} [onProgress]  0–1
+   * @returns {Promise<TrackTimeline>}
+   */
+  async analyze(buffer, onProgress) {
+    const { sampleRate } = buffer;
+    const signal = this._mixToMono(buffer);
+    const frameCount = Math.max(
+      1,
+      Math.floor((signal.length - this.frameSize) / this.hopSize) + 1,
+    );
+
+    const spectrum = await this._analyzeSpectrum(
+      signal,
+      sampleRate,
+      frameCount,
+      onProgress,
+    );
+    const { bands, onsetStrength, rms } = spectrum;
+
+    const frameRate = sampleRate / this.hopSize;
+    const onsets = this._pickOnsets(onsetStrength, frameRate);
+    const period = this._estimatePeriod(onsetStrength, frameRate);
+    const beatFrames = this._trackBeats(onsetStrength, period);
+    const downbeatFrames = this._findDownbeats(beatFrames, bands.bass);
+
+    const toTimes = (frames) => Float32Array.from(frames, (f) => f / frameRate);
+
+    if (onProgress) onProgress(1);
+
+    return new TrackTimeline({
+      sampleRate,
+      hopSize: this.hopSize,
+      duration: buffer.duration,
+      bands,
+      onsetStrength,
+      rms,
+      onsets: toTimes(onsets),
+      beats: toTimes(beatFrames),
+      downbeats: toTimes(downbeatFrames),
+      bpm: (60 * frameRate) / period,
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Spectral pass                                                      */
+  /* ------------------------------------------------------------------ */
+
+  _mixToMono(buffer) {
+    const mono = new Float32Array(buffer.length);
+    const channels = buffer.numberOfChannels;
+    for (let c = 0; c < channels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i] / channels;
+      }
+    }
+    return mono;
+  }
+
+  async _analyzeSpectrum(signal, sampleRate, frameCount, onProgress) {
+    const size = this.frameSize;
+    const binCount = size / 2;
+    const fft = new FFT(size);
+
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    }
+
+    // Bin ranges for each band at this sample rate
+    const binHz = sampleRate / size;
+    const ranges = {};
+    for (const [name, [lo, hi]] of Object.entries(BAND_EDGES)) {
+      const start = Math.max(1, Math.round(lo / binHz));
+      const end = Math.max(
+        start + 1,
+        Math.min(binCount, Math.round(hi / binHz)),
+      );
+      ranges[name] = [start, end];
+    }
+
+    const bands = {};
+    for (const name of Object.keys(ranges)) {
+      bands[name] = new Float32Array(frameCount);
+    }
+    const onsetStrength = new Float32Array(frameCount);
+    const rms = new Float32Array(frameCount);
+
+    const frame = new Float32Array(size);
+    let mags = new Float32Array(binCount);
+    let prevMags = new Float32Array(binCount);
+
+    for (let f = 0; f < frameCount; f++) {
+      const offset = f * this.hopSize;
+      let sq = 0;
+      for (let i = 0; i < size; i++) {
+        const v = signal[offset + i] || 0;
+        sq += v * v;
+        frame[i] = v * window[i];
+      }
+      rms[f] = Math.sqrt(sq / size);
+      fft.magnitudes(frame, mags);
+
+      // Log-compressed magnitudes keep quiet passages usable
+      for (let i = 0; i < binCount; i++) {
+        mags[i] = Math.log1p(100 * mags[i]);
+      }
+
+      for (const [name, [start, end]] of Object.entries(ranges)) {
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += mags[i];
+        bands[name][f] = sum / (end - start);
+      }
+
+      // Half-wave rectified spectral flux
+      if (f > 0) {
+        let flux = 0;
+        for (let i = 0; i < binCount; i++) {
+          const d = mags[i] - prevMags[i];
+          if (d > 0) flux += d;
+        }
+        onsetStrength[f] = flux;
+      }
+
+      const tmp = prevMags;
+      prevMags = mags;
+      mags = tmp;
+
+      if (f % this.chunkFrames === this.chunkFrames - 1) {
+        if (onProgress) onProgress(f / frameCount);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+
+    for (const name of Object.keys(bands)) this._normalize(bands[name]);
+    this._normalize(onsetStrength);
+    this._normalize(rms);
+
+    return { bands, onsetStrength, rms };
+  }
+
+  /** Scale an array in place so its maximum is 1 */
+  _normalize(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] > max) max = values[i];
+    }
+    if (max > 0) {
+      for (let i = 0; i < values.length; i++) values[i] /= max;
+    }
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Onsets, tempo, beats                                               */
+  /* ------------------------------------------------------------------ */
+
+  /** Local maxima above a moving-average threshold */
+  _pickOnsets(strength, frameRate) {
+    const onsets = [];
+    const peakRadius = 3;
+    const meanRadius = 16;
+    const delta = 0.06;
+    const minGap = Math.round(0.03 * frameRate);
+    let last = -Infinity;
+
+    for (let i = 1; i < strength.length - 1; i++) {
+      const v = strength[i];
+
+      let isPeak = true;
+      for (let j = i - peakRadius; j <= i + peakRadius && isPeak; j++) {
+        if (j >= 0 && j < strength.length && strength[j] > v) isPeak = false;
+      }
+      if (!isPeak) continue;
+
+      let sum = 0;
+      let n = 0;
+      for (let j = i - meanRadius; j <= i + meanRadius; j++) {
+        if (j >= 0 && j < strength.length) {
+          sum += strength[j];
+          n++;
+        }
+      }
+
+      if (v >= sum / n + delta && i - last >= minGap) {
+        onsets.push(i);
+        last = i;
+      }
+    }
+    return onsets;
+  }
+
+  /**
+   * Beat period in frames from the autocorrelation of the onset envelope,
+   * weighted towards ~120 BPM to resolve octave ambiguity.
+   */
+  _estimatePeriod(strength, frameRate) {
+    const n = strength.length;
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += strength[i];
+    mean /= n;
+
+    const minLag = Math.max(1, Math.floor((60 * frameRate) / this.maxBpm));
+    const maxLag = Math.min(n - 1, Math.ceil((60 * frameRate) / this.minBpm));
+    const preferredLag = (60 * frameRate) / 120;
+
+    let bestLag = Math.round(preferredLag);
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let acf = 0;
+      for (let i = lag; i < n; i++) {
+        acf += (strength[i] - mean) * (strength[i - lag] - mean);
+      }
+      const octaves = Math.log2(lag / preferredLag);
+      const score = acf * Math.exp(-0.5 * octaves * octaves);
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    return bestLag;
+  }
+
+  /** Dynamic-programming beat tracker (Ellis, 2007) */
+  _trackBeats(strength, period) {
+    const n = strength.length;
+    if (n < period * 2) return [];
+
+    const tightness = 100;
+    const score = new Float32Array(n);
+    const backlink = new Int32Array(n).fill(-1);
+
+    for (let t = 0; t < n; t++) {
+      const from = Math.max(0, t - Math.round(2 * period));
+      const to = t - Math.round(period / 2);
+      let best = 0;
+      let bestPrev = -1;
+      for (let prev = from; prev <= to; prev++) {
+        const ratio = Math.log((t - prev) / period);
+        const candidate = score[prev] - tightness * ratio * ratio;
+        if (bestPrev < 0 || candidate > best) {
+          best = candidate;
+          bestPrev = prev;
+        }
+      }
+      score[t] = strength[t] + (bestPrev >= 0 ? Math.max(0, best) : 0);
+      backlink[t] = bestPrev >= 0 && best > 0 ? bestPrev : -1;
+    }
+
+    // Start from the best-scoring frame in the final period
+    let t = n - 1;
+    for (let i = Math.max(0, n - period); i < n; i++) {
+      if (score[i] > score[t]) t = i;
+    }
+
+    const beats = [];
+    while (t >= 0) {
+      beats.push(t);
+      t = backlink[t];
+    }
+    return beats.reverse();
+  }
+
+  /** Pick the bar phase whose beats carry the most bass energy */
+  _findDownbeats(beatFrames, bass) {
+    const perBar = this.beatsPerBar;
+    if (beatFrames.length < perBar) return beatFrames.slice(0, 1);
+
+    const energy = new Float32Array(perBar);
+    beatFrames.forEach((f, i) => {
+      energy[i % perBar] += bass[f];
+    });
+
+    let phase = 0;
+    for (let p = 1; p < perBar; p++) {
+      if (energy[p] > energy[phase]) phase = p;
+    }
+    return beatFrames.filter((_, i) => i % perBar === phase);
+  }
+}
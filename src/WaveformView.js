@@ -0,0 +1,115 @@
+/**
+ * WaveformView — Scrubbable waveform / progress bar drawn on a canvas.
+ * The waveform comes from a pre-analysed TrackTimeline; without one the
+ * view falls back to a plain progress bar.
+ */
+export class WaveformView {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.levels = null; // Float32Array, one value per track frame
+    this.duration = 0;
+    this.onSeek = null; // (seconds) => void
+
+    this._dragging = false;
+    this._bindPointer();
+  }
+
+  /** Show a new track (timeline may be null) */
+  setTrack(timeline, duration) {
+    this.levels = timeline ? timeline.rms : null;
+    this.duration = duration || (timeline ? timeline.duration : 0);
+  }
+
+  /**
+   * Redraw — call once per frame.
+   * @param {number} time  playback position (s)
+   * @param {{start: number, end: number} | null} loopRegion
+   */
+  draw(time, loopRegion) {
+    const { canvas, ctx } = this;
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * dpr);
+    const height = Math.round(canvas.clientHeight * dpr);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    ctx.clearRect(0, 0, width, height);
+    if (!this.duration) return;
+
+    const toX = (t) => (t / this.duration) * width;
+    const progressX = toX(time);
+
+    // A/B loop region
+    if (loopRegion) {
+      ctx.fillStyle = "rgba(0, 212, 255, 0.12)";
+      ctx.fillRect(
+        toX(loopRegion.start),
+        0,
+        toX(loopRegion.end) - toX(loopRegion.start),
+        height,
+      );
+    }
+
+    // Waveform columns: played part highlighted
+    const mid = height / 2;
+    if (this.levels) {
+      const frames = this.levels.length;
+      for (let x = 0; x < width; x++) {
+        const from = Math.floor((x / width) * frames);
+        const to = Math.max(from + 1, Math.floor(((x + 1) / width) * frames));
+        let peak = 0;
+        for (let i = from; i < to && i < frames; i++) {
+          if (this.levels[i] > peak) peak = this.levels[i];
+        }
+        const h = Math.max(1, peak * (height - 2));
+        ctx.fillStyle =
+          x < progressX
+            ? "rgba(167, 139, 250, 0.9)"
+            : "rgba(255, 255, 255, 0.18)";
+        ctx.fillRect(x, mid - h / 2, 1, h);
+      }
+    } else {
+      ctx.fillStyle = "rgba(255, 255, 255, 0.12)";
+      ctx.fillRect(0, mid - 1, width, 2);
+      ctx.fillStyle = "rgba(167, 139, 250, 0.9)";
+      ctx.fillRect(0, mid - 1, progressX, 2);
+    }
+
+    // Playhead
+    ctx.fillStyle = "#f472b6";
+    ctx.fillRect(progressX - dpr / 2, 0, dpr, height);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Internal helpers                                                   */
+  /* ------------------------------------------------------------------ */
+
+  _bindPointer() {
+    const seekTo = (e) => {
+      if (!this.duration || !this.onSeek) return;
+      const rect = this.canvas.getBoundingClientRect();
+      const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      this.onSeek(x * this.duration);
+    };
+
+    this.canvas.addEventListener("pointerdown", (e) => {
+      this._dragging = true;
+      this.canvas.setPointerCapture(e.pointerId);
+      seekTo(e);
+    });
+    this.canvas.addEventListener("pointermove", (e) => {
+      if (this._dragging) seekTo(e);
+    });
+    const stop = (e) => {
+      this._dragging = false;
+      if (this.canvas.hasPointerCapture(e.pointerId)) {
+        this.canvas.releasePointerCapture(e.pointerId);
+      }
+    };
+    this.canvas.addEventListener("pointerup", stop);
+    this.canvas.addEventListener("pointercancel", stop);
+  }
+}
@@ -1,11 +1,104 @@
 import * as THREE from "three";
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
 import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
 import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
 import { ParticleSystem } from "./ParticleSystem.js";
 import { AudioAnalyzer } from "./AudioAnalyzer.js";
+import { Playlist } from "./Playlist.js";
+import { WaveformView } from "./WaveformView.js";
+import { MidiController } from "./MidiController.js";
+import { AnalyzerTrace, TracePlayer } from "./AnalyzerTrace.js";
+import { MorphChoreographer } from "./MorphChoreographer.js";
+import { ForceField } from "./ForceField.js";
+import { PointerInteraction } from "./PointerInteraction.js";
+import { SCATTER_LAYOUTS } from "./ScatterLayouts.js";
+import { ModelLoader } from "./ModelLoader.js";
+
+// Settings persisted to localStorage, with the control that edits each one
+const SETTINGS_KEY = "c4d-particles-settings";
+const SETTING_CONTROLS = {
+  imageDensity: "image-density",
+  imageDepthFrom: "image-depth-from",
+  imageDepth: "image-depth",
+  colorMode: "color-mode",
+  colorStart: "color-start",
+  colorEnd: "color-end",
+  blendMode: "blend-mode",
+  particleMode: "particle-mode",
+  particleCount: "particle-count",
+  seed: "seed",
+  gpuSimulation: "gpu-simulation",
+  particleSize: "particle-size",
+  reactivity: "reactivity",
+  attenuation: "attenuation",
+  spectrumMapping: "spectrum-mapping",
+  spectrumGain: "spectrum-gain",
+  spectrumDecay: "spectrum-decay",
+  scatterLayout: "scatter-layout",
+  scatterRadius: "scatter-radius",
+  morphSpeed: "morph-speed",
+  animationSync: "animation-sync",
+  animationSpeed: "animation-speed",
+  morphEasing: "morph-easing",
+  morphDuration: "morph-duration",
+  morphTrigger: "morph-trigger",
+  morphEvery: "morph-every",
+  textFont: "text-font",
+  textAlign: "text-align",
+  textSample: "text-sample",
+  textSpacing: "text-spacing",
+  textDepth: "text-depth",
+  turbulence: "turbulence",
+  stereoAmount: "stereo-amount",
+  connectionDistance: "connection-distance",
+  maxConnections: "max-connections",
+  plexusNodes: "plexus-nodes",
+  trailsEnabled: "trails-enabled",
+  trailLength: "trail-length",
+  trailFade: "trail-fade",
+  trailLengthAudio: "trail-length-audio",
+  trailFadeAudio: "trail-fade-audio",
+  trailAudioAmount: "trail-audio-amount",
+  emitterShape: "emitter-shape",
+  emitterRate: "emitter-rate",
+  emitterBurst: "emitter-burst",
+  emitterSpeed: "emitter-speed",
+  emitterLifespan: "emitter-lifespan",
+  lifeCurve: "life-curve",
+  pointerMode: "pointer-mode",
+  pointerRadius: "pointer-radius",
+  pointerFalloff: "pointer-falloff",
+  pointerStrength: "pointer-strength",
+  paintColor: "paint-color",
+  bloomIntensity: "bloom-intensity",
+  inputGain: "input-gain",
+  monitorInput: "monitor-input",
+  transition: "transition",
+  crossfadeDuration: "crossfade",
+  followMidiClock: "midi-clock",
+};
+
+// Emitter-mode size / colour over a particle's life (ParticleSystem.setLifeCurves)
+const LIFE_CURVES = {
+  fade: { size: [0.2, 1, 1, 0], colorMix: 0 },
+  spark: {
+    size: [1, 0.6, 0.3, 0],
+    colors: ["#ffffff", "#ffd700", "#ff3300"],
+    colorMix: 1,
+  },
+  bloom: { size: [0, 0.5, 1, 1.5], gradient: true, colorMix: 0.8 },
+  constant: { size: [1, 1, 1, 1], colorMix: 0 },
+};
+
+// Gradient palettes cycled by the "palette-next" trigger
+const PALETTES = [
+  ["#ff0080", "#00d4ff"],
+  ["#ffd700", "#9d00ff"],
+  ["#00fffb", "#ff0066"],
+  ["#ffffff", "#7c3aed"],
+  ["#ff6a00", "#ee0979"],
+];
 
 class App {
   constructor() {
@@ -16,23 +109,90 @@ class App {
     this.composer = null;
     this.bloomPass = null;
     this.particleSystem = null;
+    this.choreographer = null;
+    this.selectedField = null; // ForceField edited by the field controls
+    this.textTarget = null; // text target the text controls edit
+    this.textTimer = null; // debounces re-sampling while typing
+    this.rebuildTimer = null; // debounces particle count / seed changes
+    this.scatterTimer = null; // debounces scatter layout changes
     this.audioAnalyzer = null;
+    this.playlist = null;
+    this.waveform = null;
+    this.loopStart = null; // pending A point of an A/B loop
+    this.midi = null;
+    this.midiColors = new Set(); // colour inputs CCs changed this frame
+    this.paletteIndex = 0;
+    this.trace = null; // AnalyzerTrace being recorded or last recorded/loaded
+    this.traceRecording = false;
+    this.tracePlayer = null;
+    this.modelLoader = new ModelLoader();
     this.model = null;
-    this.mouse = new THREE.Vector2(999, 999); // Start off-screen
+    this.image = null; // { source, name } when an image is the shape
+    this.depthMap = null; // image whose brightness gives image depth
+    this.pointer = null; // PointerInteraction over the canvas
 
     this.settings = {
+      imageDensity: "auto",
+      imageDepthFrom: "brightness",
+      imageDepth: 0,
       colorMode: "gradient",
       colorStart: "#ff0080",
       colorEnd: "#00d4ff",
       blendMode: "additive",
+      particleMode: "morph",
       particleCount: 100000,
+      seed: 1,
+      gpuSimulation: true,
       particleSize: 0.05,
       reactivity: 0.8,
+      spectrumMapping: "height",
+      spectrumGain: 1,
+      spectrumDecay: 0.25,
+      scatterLayout: "cube",
+      scatterRadius: 7.5,
       morphSpeed: 0.015,
+      animationSync: "fixed",
+      animationSpeed: 1,
+      morphEasing: "easeInOutCubic",
+      morphDuration: 2,
+      morphTrigger: "manual",
+      morphEvery: 4,
+      textFont: "Inter, sans-serif",
+      textAlign: "center",
+      textSample: "fill",
+      textSpacing: 0,
+      textDepth: 0.3,
       turbulence: 0.1,
+      stereoAmount: 1.0,
+      connectionDistance: 0.6,
+      maxConnections: 4,
+      plexusNodes: 1500,
+      trailsEnabled: false,
+      trailLength: 8,
+      trailFade: 1.5,
+      trailLengthAudio: "",
+      trailFadeAudio: "",
+      trailAudioAmount: 2,
+      emitterShape: "sphere",
+      emitterRate: 3000,
+      emitterBurst: 2000,
+      emitterSpeed: 1.5,
+      emitterLifespan: 3,
+      lifeCurve: "fade",
+      pointerMode: "repel",
+      pointerRadius: 4,
+      pointerFalloff: 1,
+      pointerStrength: 1,
+      paintColor: "#ffffff",
       bloomIntensity: 1.2,
       bloomThreshold: 0.05,
       bloomRadius: 0.8,
+      inputGain: 1.0,
+      monitorInput: false,
+      transition: "gapless",
+      crossfadeDuration: 4,
+      followMidiClock: false,
+      midiMappings: { cc: {}, notes: {} },
     };
 
     this.stats = {
@@ -107,9 +267,45 @@ class App {
 
     // ---- Systems ----
     console.log("Initializing ParticleSystem...");
-    this.particleSystem = new ParticleSystem(this.scene, this.camera);
+    this.particleSystem = new ParticleSystem(
+      this.scene,
+      this.camera,
+      this.renderer,
+    );
+    this.particleSystem.setConnectionDistance(this.settings.connectionDistance);
+    this._updateSimulationStat();
     console.log("ParticleSystem initialized");
+    this.pointer = new PointerInteraction(
+      this.camera,
+      this.renderer.domElement,
+    );
+    this.choreographer = new MorphChoreographer(this.particleSystem);
+    this.choreographer.onStep = () => this._renderMorphSequence();
     this.audioAnalyzer = new AudioAnalyzer();
+    this.playlist = new Playlist(this.audioAnalyzer);
+    this.playlist.onTrackChange = () => this._onTrackChange();
+    this.playlist.onError = (error) => this._onAudioError(error);
+    this.playlist.onAnalysisProgress = (progress) => {
+      document.getElementById("play-pause").textContent =
+        `Analyzing… ${Math.round(progress * 100)}%`;
+    };
+    this.waveform = new WaveformView(document.getElementById("waveform"));
+    this.waveform.onSeek = (time) => this.audioAnalyzer.seek(time);
+
+    this.midi = new MidiController();
+    this.midi.onControl = (target, value) => this._onMidiControl(target, value);
+    this.midi.onTrigger = (action, velocity) =>
+      this._onMidiTrigger(action, velocity);
+    this.midi.onLearned = (group, key, target) => {
+      this.settings.midiMappings = this.midi.getMappings();
+      this._saveSettings();
+      this._setMidiStatus(`Learned ${group} ${key} → ${target}`);
+    };
+    this.midi.onDevicesChange = (inputs) => {
+      this._setMidiStatus(
+        inputs.length ? inputs.map((i) => i.name).join(", ") : "No inputs",
+      );
+    };
 
     // ---- Default Model Load ----
     // FIX: Use standard folder name
@@ -117,13 +313,6 @@ class App {
 
     // ---- Resize ----
     window.addEventListener("resize", () => this.onWindowResize());
-
-    // ---- Mouse Interaction ----
-    window.addEventListener("mousemove", (e) => {
-      // Normalize mouse to -1..1
-      this.mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-      this.mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    });
   }
 
   setupEventListeners() {
@@ -131,10 +320,63 @@ class App {
     document.getElementById("model-upload").addEventListener("change", (e) => {
       this.loadModel(e.target.files[0]);
     });
+    document.getElementById("image-upload").addEventListener("change", (e) => {
+      this.loadImage(e.target.files[0]);
+    });
+    document
+      .getElementById("depth-map-upload")
+      .addEventListener("change", async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+          this.depthMap = await this._loadImageFile(file);
+          this._applyImage();
+        } catch (error) {
+          console.error("Error loading depth map:", error);
+          alert("Error loading depth map. Please use a PNG, SVG or JPEG.");
+        }
+      });
+    for (const [id, key] of [
+      ["image-density", "imageDensity"],
+      ["image-depth-from", "imageDepthFrom"],
+    ]) {
+      document.getElementById(id).addEventListener("change", (e) => {
+        this.settings[key] = e.target.value;
+        this._applyImage();
+      });
+    }
+    this._slider(
+      "image-depth",
+      (v) => {
+        this.settings.imageDepth = parseFloat(v);
+        this._applyImage();
+      },
+      1,
+    );
     document.getElementById("audio-upload").addEventListener("change", (e) => {
-      this.loadAudio(e.target.files[0]);
+      this.addToPlaylist(e.target.files);
     });
 
+    // ---- Live input ----
+    document.getElementById("live-input").addEventListener("click", () => {
+      this.startLiveInput();
+    });
+    this._slider(
+      "input-gain",
+      (v) => {
+        this.settings.inputGain = parseFloat(v);
+        this.audioAnalyzer.setInputGain(this.settings.inputGain);
+      },
+      1,
+    );
+    document.getElementById("monitor-input").addEventListener("change", (e) => {
+      this.settings.monitorInput = e.target.checked;
+      if (this.audioAnalyzer.sourceType === "stream") {
+        this.audioAnalyzer.setMonitoring(this.settings.monitorInput);
+      }
+    });
+    this._refreshInputDevices();
+
     // ... (rest of event listeners unchanged)
 
     // ---- Color mode ----
@@ -151,6 +393,7 @@ class App {
         this.settings.colorStart,
         this.settings.colorEnd,
       );
+      this._applyLifeCurve();
     });
     document.getElementById("color-end").addEventListener("input", (e) => {
       this.settings.colorEnd = e.target.value;
@@ -158,6 +401,7 @@ class App {
         this.settings.colorStart,
         this.settings.colorEnd,
       );
+      this._applyLifeCurve();
     });
 
     // ---- Blend mode ----
@@ -166,11 +410,37 @@ class App {
       this.particleSystem.updateBlendMode(this.settings.blendMode);
     });
 
+    // ---- Particle mode ----
+    document.getElementById("particle-mode").addEventListener("change", (e) => {
+      this.settings.particleMode = e.target.value;
+      this.particleSystem.setMode(this.settings.particleMode);
+      this._updateSimulationStat();
+    });
+
     // ---- Sliders ----
     this._slider("particle-count", (v) => {
       this.settings.particleCount = parseInt(v);
-      this.particleSystem.updateParticleCount(this.settings.particleCount);
+      this._scheduleRebuild();
     });
+    // ---- Seed: the same seed regenerates the same scene ----
+    document.getElementById("seed").addEventListener("change", (e) => {
+      const seed = parseInt(e.target.value);
+      if (Number.isNaN(seed)) return;
+      this.settings.seed = seed;
+      this._scheduleRebuild();
+    });
+    document.getElementById("seed-random").addEventListener("click", () => {
+      const el = document.getElementById("seed");
+      el.value = Math.floor(Math.random() * 1e6);
+      el.dispatchEvent(new Event("change"));
+    });
+    document
+      .getElementById("gpu-simulation")
+      .addEventListener("change", (e) => {
+        this.settings.gpuSimulation = e.target.checked;
+        this.particleSystem.setGPUSimulation(this.settings.gpuSimulation);
+        this._updateSimulationStat();
+      });
     this._slider(
       "particle-size",
       (v) => {
@@ -193,6 +463,52 @@ class App {
       },
       2,
     );
+    document
+      .getElementById("spectrum-mapping")
+      .addEventListener("change", (e) => {
+        this.settings.spectrumMapping = e.target.value;
+        this.particleSystem.setSpectrumOptions({
+          mapping: this.settings.spectrumMapping,
+        });
+      });
+    this._slider(
+      "spectrum-gain",
+      (v) => {
+        this.settings.spectrumGain = parseFloat(v);
+        this.particleSystem.setSpectrumOptions({
+          gain: this.settings.spectrumGain,
+        });
+      },
+      2,
+    );
+    this._slider(
+      "spectrum-decay",
+      (v) => {
+        this.settings.spectrumDecay = parseFloat(v);
+        this.particleSystem.setSpectrumOptions({
+          decay: this.settings.spectrumDecay,
+        });
+      },
+      2,
+    );
+    document
+      .getElementById("animation-sync")
+      .addEventListener("change", (e) => {
+        this.settings.animationSync = e.target.value;
+        this.particleSystem.setAnimationOptions({
+          sync: this.settings.animationSync,
+        });
+      });
+    this._slider(
+      "animation-speed",
+      (v) => {
+        this.settings.animationSpeed = parseFloat(v);
+        this.particleSystem.setAnimationOptions({
+          speed: this.settings.animationSpeed,
+        });
+      },
+      2,
+    );
     this._slider(
       "morph-speed",
       (v) => {
@@ -208,6 +524,69 @@ class App {
       },
       2,
     );
+    this._slider(
+      "stereo-amount",
+      (v) => {
+        this.settings.stereoAmount = parseFloat(v);
+        this.particleSystem.setStereoAmount(this.settings.stereoAmount);
+      },
+      2,
+    );
+    this._slider(
+      "connection-distance",
+      (v) => {
+        this.settings.connectionDistance = parseFloat(v);
+        this.particleSystem.setConnectionDistance(
+          this.settings.connectionDistance,
+        );
+      },
+      2,
+    );
+    this._slider("max-connections", (v) => {
+      this.settings.maxConnections = parseInt(v);
+      this.particleSystem.setMaxConnections(this.settings.maxConnections);
+    });
+    this._slider("plexus-nodes", (v) => {
+      this.settings.plexusNodes = parseInt(v);
+      this.particleSystem.setPlexusNodes(this.settings.plexusNodes);
+    });
+
+    // ---- Trails ----
+    document
+      .getElementById("trails-enabled")
+      .addEventListener("change", (e) => {
+        this.settings.trailsEnabled = e.target.checked;
+        this._applyTrails();
+      });
+    this._slider("trail-length", (v) => {
+      this.settings.trailLength = parseFloat(v);
+      this._applyTrails();
+    });
+    this._slider(
+      "trail-fade",
+      (v) => {
+        this.settings.trailFade = parseFloat(v);
+        this._applyTrails();
+      },
+      1,
+    );
+    for (const [id, key] of [
+      ["trail-length-audio", "trailLengthAudio"],
+      ["trail-fade-audio", "trailFadeAudio"],
+    ]) {
+      document.getElementById(id).addEventListener("change", (e) => {
+        this.settings[key] = e.target.value;
+        this._applyTrails();
+      });
+    }
+    this._slider(
+      "trail-audio-amount",
+      (v) => {
+        this.settings.trailAudioAmount = parseFloat(v);
+        this._applyTrails();
+      },
+      1,
+    );
     this._slider(
       "bloom-intensity",
       (v) => {
@@ -217,6 +596,183 @@ class App {
       1,
     );
 
+    // ---- Emitter ----
+    const emitter = () => this.particleSystem.emitters[0];
+    document.getElementById("emitter-shape").addEventListener("change", (e) => {
+      this.settings.emitterShape = e.target.value;
+      emitter().shape = this.settings.emitterShape;
+    });
+    this._slider("emitter-rate", (v) => {
+      this.settings.emitterRate = parseFloat(v);
+      emitter().rate = this.settings.emitterRate;
+    });
+    this._slider("emitter-burst", (v) => {
+      this.settings.emitterBurst = parseFloat(v);
+      emitter().burst = this.settings.emitterBurst;
+    });
+    this._slider(
+      "emitter-speed",
+      (v) => {
+        this.settings.emitterSpeed = parseFloat(v);
+        emitter().speed = this.settings.emitterSpeed;
+      },
+      1,
+    );
+    this._slider(
+      "emitter-lifespan",
+      (v) => {
+        this.settings.emitterLifespan = parseFloat(v);
+        emitter().lifespan = this.settings.emitterLifespan;
+      },
+      1,
+    );
+    document.getElementById("life-curve").addEventListener("change", (e) => {
+      this.settings.lifeCurve = e.target.value;
+      this._applyLifeCurve();
+    });
+
+    // ---- Pointer interaction ----
+    document.getElementById("pointer-mode").addEventListener("change", (e) => {
+      this.settings.pointerMode = e.target.value;
+      this.particleSystem.setPointerOptions({
+        mode: this.settings.pointerMode,
+      });
+    });
+    this._slider(
+      "pointer-radius",
+      (v) => {
+        this.settings.pointerRadius = parseFloat(v);
+        this.particleSystem.setPointerOptions({
+          radius: this.settings.pointerRadius,
+        });
+      },
+      1,
+    );
+    this._slider(
+      "pointer-falloff",
+      (v) => {
+        this.settings.pointerFalloff = parseFloat(v);
+        this.particleSystem.setPointerOptions({
+          falloff: this.settings.pointerFalloff,
+        });
+      },
+      2,
+    );
+    this._slider(
+      "pointer-strength",
+      (v) => {
+        this.settings.pointerStrength = parseFloat(v);
+        this.particleSystem.setPointerOptions({
+          strength: this.settings.pointerStrength,
+        });
+      },
+      2,
+    );
+    document.getElementById("paint-color").addEventListener("input", (e) => {
+      this.settings.paintColor = e.target.value;
+      this.particleSystem.setPointerOptions({
+        color: this.settings.paintColor,
+      });
+    });
+
+    // ---- Force fields ----
+    document.getElementById("field-add").addEventListener("click", () => {
+      const field = new ForceField("attractor");
+      this._applyFieldControls(field);
+      this.particleSystem.addForceField(field);
+      this._selectField(field);
+    });
+    document.getElementById("force-fields").addEventListener("click", (e) => {
+      const item = e.target.closest("li");
+      if (!item) return;
+      const field = this.particleSystem.forceFields[Number(item.dataset.index)];
+      if (e.target.closest("button")) {
+        this.particleSystem.removeForceField(field);
+        if (field === this.selectedField) this.selectedField = null;
+        this._renderForceFields();
+      } else {
+        this._selectField(field);
+      }
+    });
+    // Controls edit the selected field live
+    const editField = () => {
+      if (!this.selectedField) return;
+      this._applyFieldControls(this.selectedField);
+      this._renderForceFields();
+    };
+    this._slider("field-strength", editField, 2);
+    this._slider("field-radius", editField, 1);
+    this._slider("field-audio-amount", editField, 1);
+    for (const id of ["field-type", "field-audio"]) {
+      document.getElementById(id).addEventListener("change", editField);
+    }
+    for (const id of ["field-x", "field-y", "field-z"]) {
+      document.getElementById(id).addEventListener("input", editField);
+    }
+    this._renderForceFields();
+
+    // ---- Text targets ----
+    document
+      .getElementById("text-add")
+      .addEventListener("click", () => this.addTextTarget());
+    document
+      .getElementById("text-content")
+      .addEventListener("input", () => this._scheduleTextUpdate());
+    for (const [id, key] of [
+      ["text-font", "textFont"],
+      ["text-align", "textAlign"],
+      ["text-sample", "textSample"],
+    ]) {
+      document.getElementById(id).addEventListener("change", (e) => {
+        this.settings[key] = e.target.value;
+        this._scheduleTextUpdate();
+      });
+    }
+    this._slider(
+      "text-spacing",
+      (v) => {
+        this.settings.textSpacing = parseFloat(v);
+        this._scheduleTextUpdate();
+      },
+      2,
+    );
+    this._slider(
+      "text-depth",
+      (v) => {
+        this.settings.textDepth = parseFloat(v);
+        this._scheduleTextUpdate();
+      },
+      2,
+    );
+
+    // ---- Scatter layout ----
+    document
+      .getElementById("scatter-layout")
+      .addEventListener("change", (e) => {
+        this.settings.scatterLayout = e.target.value;
+        // Each layout starts from its own default radius
+        const { radius } =
+          SCATTER_LAYOUTS[this.settings.scatterLayout].defaults;
+        const slider = document.getElementById("scatter-radius");
+        slider.value = radius;
+        slider.dispatchEvent(new Event("input"));
+      });
+    this._slider(
+      "scatter-radius",
+      (v) => {
+        this.settings.scatterRadius = parseFloat(v);
+        // Re-laying out touches every particle — wait for the slider to
+        // settle
+        clearTimeout(this.scatterTimer);
+        this.scatterTimer = setTimeout(() => {
+          this.particleSystem.setScatterLayout(this.settings.scatterLayout, {
+            radius: this.settings.scatterRadius,
+          });
+        }, 250);
+      },
+      1,
+    );
+
     // ---- Morph toggle ----
     document.getElementById("morph-toggle").addEventListener("click", () => {
       this.particleSystem.toggleMorph();
@@ -231,14 +787,392 @@ class App {
       this.particleSystem.setAutoMorphOnBeat(e.target.checked);
     });
 
+    // ---- Morph sequence ----
+    document.getElementById("target-upload").addEventListener("change", (e) => {
+      this.addMorphTargets(e.target.files);
+    });
+    document
+      .getElementById("morph-add-scatter")
+      .addEventListener("click", () => this._addMorphStep("scatter"));
+    document.getElementById("morph-sequence").addEventListener("click", (e) => {
+      const item = e.target.closest("li");
+      if (!item) return;
+      const index = Number(item.dataset.index);
+      if (e.target.closest("button")) {
+        this.choreographer.remove(index);
+        this._renderMorphSequence();
+      } else {
+        this.choreographer.goTo(index);
+      }
+    });
+    document.getElementById("morph-prev").addEventListener("click", () => {
+      this.choreographer.previous();
+    });
+    document.getElementById("morph-next").addEventListener("click", () => {
+      this.choreographer.next();
+    });
+    document.getElementById("morph-easing").addEventListener("change", (e) => {
+      this.settings.morphEasing = e.target.value;
+      this.choreographer.steps.forEach((step) => {
+        step.easing = this.settings.morphEasing;
+      });
+    });
+    this._slider(
+      "morph-duration",
+      (v) => {
+        this.settings.morphDuration = parseFloat(v);
+        this.choreographer.steps.forEach((step) => {
+          step.duration = this.settings.morphDuration;
+        });
+      },
+      1,
+    );
+    document.getElementById("morph-trigger").addEventListener("change", (e) => {
+      this.settings.morphTrigger = e.target.value;
+      this.choreographer.trigger = this.settings.morphTrigger;
+    });
+    this._slider("morph-every", (v) => {
+      this.settings.morphEvery = parseInt(v);
+      this.choreographer.every = this.settings.morphEvery;
+    });
+
     // ---- Play / Pause ----
     document.getElementById("play-pause").addEventListener("click", () => {
       this.toggleAudio();
     });
 
+    // ---- Transport ----
+    document.getElementById("prev-track").addEventListener("click", () => {
+      this.playlist.previous().catch((error) => this._onAudioError(error));
+    });
+    document.getElementById("next-track").addEventListener("click", () => {
+      this.playlist
+        .next({ transition: this._transitionMode() })
+        .catch((error) => this._onAudioError(error));
+    });
+    document.getElementById("loop-a").addEventListener("click", () => {
+      this.loopStart = this.audioAnalyzer.getCurrentTime();
+      this.audioAnalyzer.clearLoopRegion();
+    });
+    document.getElementById("loop-b").addEventListener("click", () => {
+      const end = this.audioAnalyzer.getCurrentTime();
+      if (this.loopStart === null || end <= this.loopStart) return;
+      this.audioAnalyzer.setLoopRegion(this.loopStart, end);
+      this.audioAnalyzer.seek(this.loopStart);
+    });
+    document.getElementById("loop-clear").addEventListener("click", () => {
+      this.loopStart = null;
+      this.audioAnalyzer.clearLoopRegion();
+    });
+    document.getElementById("transition").addEventListener("change", (e) => {
+      this.settings.transition = e.target.value;
+      this.playlist.transition = this.settings.transition;
+    });
+    this._slider(
+      "crossfade",
+      (v) => {
+        this.settings.crossfadeDuration = parseFloat(v);
+        this.playlist.crossfadeDuration = this.settings.crossfadeDuration;
+      },
+      1,
+    );
+    document.getElementById("playlist").addEventListener("click", (e) => {
+      const item = e.target.closest("li");
+      if (item) this.loadTrack(Number(item.dataset.index), true);
+    });
+
+    // ---- MIDI ----
+    this._buildMidiTargets();
+    document.getElementById("midi-enable").addEventListener("click", () => {
+      this.enableMidi();
+    });
+    document.getElementById("midi-learn").addEventListener("click", () => {
+      const [kind, target] = document
+        .getElementById("midi-target")
+        .value.split(":");
+      this.midi.learn(target, kind);
+      this._setMidiStatus(
+        kind === "cc" ? "Move a knob or fader…" : "Press a pad or key…",
+      );
+    });
+    document.getElementById("midi-clear").addEventListener("click", () => {
+      this.midi.clearMappings();
+      this.settings.midiMappings = this.midi.getMappings();
+      this._saveSettings();
+      this._setMidiStatus("Mappings cleared");
+    });
+    document.getElementById("midi-clock").addEventListener("change", (e) => {
+      this.settings.followMidiClock = e.target.checked;
+      this.audioAnalyzer.setExternalClock(
+        this.settings.followMidiClock ? this.midi.clock : null,
+      );
+    });
+
+    // ---- Session traces ----
+    document.getElementById("trace-record").addEventListener("click", () => {
+      this.toggleTraceRecording();
+    });
+    document.getElementById("trace-save-json").addEventListener("click", () => {
+      this.saveTrace("json");
+    });
+    document.getElementById("trace-save-bin").addEventListener("click", () => {
+      this.saveTrace("binary");
+    });
+    document.getElementById("trace-upload").addEventListener("change", (e) => {
+      this.loadTrace(e.target.files[0]);
+    });
+    document.getElementById("trace-replay").addEventListener("click", () => {
+      this.toggleTraceReplay();
+    });
+    document
+      .getElementById("trace-frame-mode")
+      .addEventListener("change", (e) => {
+        if (this.tracePlayer) {
+          this.tracePlayer.mode = e.target.checked ? "frame" : "realtime";
+        }
+      });
+    document.getElementById("trace-position").addEventListener("input", (e) => {
+      if (!this.tracePlayer) return;
+      this.tracePlayer.seek(parseFloat(e.target.value) * this.trace.duration);
+      this._updateTracePosition();
+    });
+
+    // ---- Settings persistence ----
+    this._restoreSettings();
+    window.addEventListener("beforeunload", () => this._saveSettings());
+
     this._updateGradientVisibility();
   }
 
+  /* ------------------------------------------------------------------ */
+  /*  Settings                                                           */
+  /* ------------------------------------------------------------------ */
+
+  /** Push saved values through their controls so every handler runs */
+  _restoreSettings() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    } catch (error) {
+      console.warn("Ignoring unreadable saved settings:", error);
+    }
+    if (!saved) return;
+
+    for (const [key, id] of Object.entries(SETTING_CONTROLS)) {
+      const el = document.getElementById(id);
+      if (!el || saved[key] === undefined) continue;
+      if (el.type === "checkbox") {
+        el.checked = saved[key];
+      } else {
+        el.value = saved[key];
+      }
+      const isInput = el.type === "range" || el.type === "color";
+      el.dispatchEvent(new Event(isInput ? "input" : "change"));
+    }
+
+    if (saved.midiMappings) {
+      this.settings.midiMappings = saved.midiMappings;
+      this.midi.setMappings(saved.midiMappings);
+    }
+  }
+
+  _saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn("Could not save settings:", error);
+    }
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Session traces                                                     */
+  /* ------------------------------------------------------------------ */
+
+  toggleTraceRecording() {
+    const btn = document.getElementById("trace-record");
+    if (this.traceRecording) {
+      this.traceRecording = false;
+      btn.textContent = "⏺ Record Trace";
+      const empty = this.trace.frameCount === 0;
+      document.getElementById("trace-save-json").disabled = empty;
+      document.getElementById("trace-save-bin").disabled = empty;
+      if (!empty) this._useTrace(this.trace);
+    } else {
+      this.trace = new AnalyzerTrace();
+      this.traceRecording = true;
+      btn.textContent = "⏹ Stop Recording";
+    }
+  }
+
+  saveTrace(format) {
+    if (!this.trace || this.trace.frameCount === 0) return;
+    const blob =
+      format === "json"
+        ? new Blob([JSON.stringify(this.trace)], { type: "application/json" })
+        : new Blob([this.trace.toArrayBuffer()], {
+            type: "application/octet-stream",
+          });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `analyzer-trace.${format === "json" ? "json" : "c4dtrace"}`;
+    link.click();
+    // The download starts asynchronously — revoking now can cancel it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async loadTrace(file) {
+    if (!file) return;
+    try {
+      this._useTrace(await AnalyzerTrace.fromFile(file));
+    } catch (error) {
+      console.error("Error loading trace:", error);
+      alert("Error loading trace file.");
+    }
+  }
+
+  toggleTraceReplay() {
+    const btn = document.getElementById("trace-replay");
+    if (this.tracePlayer.isPlaying) {
+      this.tracePlayer.pause();
+      btn.textContent = "▶ Replay Trace";
+    } else {
+      // Replay stands in for the analyzer — silence the live source
+      if (this.audioAnalyzer.isPlaying) this.audioAnalyzer.pause();
+      this.tracePlayer.play();
+      btn.textContent = "⏸ Pause Replay";
+    }
+  }
+
+  _useTrace(trace) {
+    this.trace = trace;
+    const frameMode = document.getElementById("trace-frame-mode").checked;
+    this.tracePlayer = new TracePlayer(trace, {
+      mode: frameMode ? "frame" : "realtime",
+    });
+    document.getElementById("trace-replay").disabled = false;
+    document.getElementById("trace-replay").textContent = "▶ Replay Trace";
+    this._updateTracePosition();
+  }
+
+  _updateTracePosition() {
+    const { position } = this.tracePlayer;
+    const duration = this.trace.duration;
+    const slider = document.getElementById("trace-position");
+    if (slider) slider.value = duration ? position / duration : 0;
+    const label = document.getElementById("trace-position-val");
+    if (label) label.textContent = `${position.toFixed(2)} s`;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  MIDI                                                               */
+  /* ------------------------------------------------------------------ */
+
+  async enableMidi() {
+    try {
+      await this.midi.connect();
+      document.getElementById("midi-learn").disabled = false;
+    } catch (error) {
+      console.error("Error enabling MIDI:", error);
+      alert("Web MIDI is not available in this browser.");
+    }
+  }
+
+  /** Drive a control from a CC value (0–1) as if the user moved it */
+  _onMidiControl(target, value) {
+    const el = document.getElementById(target);
+    if (!el) return;
+
+    if (el.type === "color") {
+      el.value = "#" + new THREE.Color().setHSL(value, 1, 0.5).getHexString();
+      // A knob sends many CCs per frame and each recolours every particle
+      // — apply the latest once per frame instead
+      this.midiColors.add(el);
+      return;
+    }
+    const min = parseFloat(el.min);
+    const max = parseFloat(el.max);
+    el.value = min + value * (max - min);
+    el.dispatchEvent(new Event("input"));
+  }
+
+  _flushMidiColors() {
+    for (const el of this.midiColors) el.dispatchEvent(new Event("input"));
+    this.midiColors.clear();
+  }
+
+  /**
+   * CC targets: every persisted slider and colour, labelled as in the UI
+   * and grouped by panel section, ahead of the note triggers
+   */
+  _buildMidiTargets() {
+    const select = document.getElementById("midi-target");
+    const triggers = document.getElementById("midi-triggers");
+    const headers = [...document.querySelectorAll(".section-header")];
+    const groups = new Map(); // section header → optgroup
+
+    for (const id of Object.values(SETTING_CONTROLS)) {
+      const el = document.getElementById(id);
+      if (!el || (el.type !== "range" && el.type !== "color")) continue;
+
+      const header = headers.findLast(
+        (h) => h.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING,
+      );
+      if (!groups.has(header)) {
+        const group = document.createElement("optgroup");
+        group.label = `${header ? header.textContent.trim() : "Other"} (CC)`;
+        select.insertBefore(group, triggers);
+        groups.set(header, group);
+      }
+
+      const label = el.previousElementSibling;
+      const name =
+        label && label.tagName === "LABEL"
+          ? label.firstChild.textContent.trim()
+          : id;
+      const option = document.createElement("option");
+      option.value = `cc:${id}`;
+      option.textContent = el.type === "color" ? `${name} Hue` : name;
+      groups.get(header).appendChild(option);
+    }
+  }
+
+  _onMidiTrigger(action, velocity) {
+    switch (action) {
+      case "morph-toggle": {
+        const btn = document.getElementById("morph-toggle");
+        if (!btn.disabled) btn.click();
+        break;
+      }
+      case "morph-next":
+        this.choreographer.next();
+        break;
+      case "palette-next":
+        this.nextPalette();
+        break;
+      case "flash":
+        this.particleSystem.flash(0.4 + 0.6 * velocity);
+        break;
+    }
+  }
+
+  nextPalette() {
+    this.paletteIndex = (this.paletteIndex + 1) % PALETTES.length;
+    const [start, end] = PALETTES[this.paletteIndex];
+    this.settings.colorStart = start;
+    this.settings.colorEnd = end;
+    document.getElementById("color-start").value = start;
+    document.getElementById("color-end").value = end;
+    this.particleSystem.updateGradientColors(start, end);
+    this._applyLifeCurve();
+  }
+
+  _setMidiStatus(text) {
+    const el = document.getElementById("midi-status");
+    if (el) el.textContent = text;
+  }
+
   /* ------------------------------------------------------------------ */
   /*  Helpers                                                            */
   /* ------------------------------------------------------------------ */
@@ -257,6 +1191,117 @@ class App {
     });
   }
 
+  /** Push the trail settings, with their audio bindings */
+  _applyTrails() {
+    const {
+      trailsEnabled,
+      trailLength,
+      trailFade,
+      trailLengthAudio,
+      trailFadeAudio,
+      trailAudioAmount,
+    } = this.settings;
+    const binding = (feature) =>
+      feature ? { feature, amount: trailAudioAmount } : null;
+    this.particleSystem.setTrailOptions({
+      enabled: trailsEnabled,
+      length: trailLength,
+      fade: trailFade,
+      lengthAudio: binding(trailLengthAudio),
+      fadeAudio: binding(trailFadeAudio),
+    });
+  }
+
+  /** Apply the selected life curve preset ("bloom" follows the gradient) */
+  _applyLifeCurve() {
+    const curve = LIFE_CURVES[this.settings.lifeCurve] || LIFE_CURVES.fade;
+    const { colorStart, colorEnd } = this.settings;
+    const colors = curve.gradient
+      ? [
+          colorStart,
+          new THREE.Color(colorStart).lerp(new THREE.Color(colorEnd), 0.5),
+          colorEnd,
+        ]
+      : curve.colors;
+    this.particleSystem.setLifeCurves({ ...curve, colors });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Force fields                                                       */
+  /* ------------------------------------------------------------------ */
+
+  /** Copy the field controls onto a ForceField */
+  _applyFieldControls(field) {
+    const value = (id) => document.getElementById(id).value;
+    const vector = new THREE.Vector3(
+      parseFloat(value("field-x")) || 0,
+      parseFloat(value("field-y")) || 0,
+      parseFloat(value("field-z")) || 0,
+    );
+    const type = value("field-type");
+
+    // Gravity is wind pointing down; x/y/z is a direction for wind,
+    // a position for everything else
+    field.type = type === "gravity" ? "wind" : type;
+    if (type === "gravity") {
+      field.direction.set(0, -1, 0);
+    } else if (type === "wind") {
+      if (vector.lengthSq() > 0) field.direction.copy(vector).normalize();
+    } else {
+      field.position.copy(vector);
+    }
+    field.strength = parseFloat(value("field-strength"));
+    field.radius = parseFloat(value("field-radius"));
+
+    const feature = value("field-audio");
+    field.audio = feature
+      ? { feature, amount: parseFloat(value("field-audio-amount")) }
+      : null;
+  }
+
+  /** Load a field into the controls so they edit it */
+  _selectField(field) {
+    this.selectedField = field;
+    const set = (id, v) => {
+      const el = document.getElementById(id);
+      el.value = v;
+      const display = document.getElementById(id + "-val");
+      if (display) display.textContent = v;
+    };
+    const gravity =
+      field.type === "wind" && field.direction.y === -1 && !field.direction.x;
+    const vector = field.type === "wind" ? field.direction : field.position;
+    set("field-type", gravity ? "gravity" : field.type);
+    set("field-strength", field.strength.toFixed(2));
+    set("field-radius", field.radius.toFixed(1));
+    set("field-x", vector.x);
+    set("field-y", vector.y);
+    set("field-z", vector.z);
+    set("field-audio", field.audio ? field.audio.feature : "");
+    if (field.audio) set("field-audio-amount", field.audio.amount.toFixed(1));
+    this._renderForceFields();
+  }
+
+  _renderForceFields() {
+    const list = document.getElementById("force-fields");
+    if (!list) return;
+    list.innerHTML = "";
+    this.particleSystem.forceFields.forEach((field, i) => {
+      const item = document.createElement("li");
+      item.dataset.index = i;
+      const label = document.createElement("span");
+      label.textContent =
+        `${field.type} ${field.strength.toFixed(2)}` +
+        (field.audio ? ` × ${field.audio.feature}` : "");
+      const remove = document.createElement("button");
+      remove.textContent = "✕";
+      remove.title = "Remove field";
+      item.append(label, remove);
+      if (field === this.selectedField) item.classList.add("active");
+      list.appendChild(item);
+    });
+  }
+
   _updateGradientVisibility() {
     const el = document.getElementById("gradient-colors");
     if (el)
@@ -268,86 +1313,415 @@ class App {
   /*  Model & Audio loading                                              */
   /* ------------------------------------------------------------------ */
 
+  /**
+   * Form the particles into a model or point cloud (any format
+   * ModelLoader reads) from a URL or a picked file.
+   */
   async loadModel(source) {
     if (!source) return;
 
-    const loader = new GLTFLoader();
-    let url;
-    let isFile = false;
-
-    if (source instanceof File) {
-      url = URL.createObjectURL(source);
-      isFile = true;
-    } else {
-      // Assume string URL
-      url = source;
-    }
-
-    console.log("Loading model from:", url);
+    const isFile = source instanceof File;
+    const name = isFile ? source.name : source.split("/").pop();
+    console.log("Loading model from:", isFile ? name : source);
 
     try {
-      const gltf = await new Promise((resolve, reject) => {
-        loader.load(url, resolve, undefined, reject);
-      });
+      const { model, animations } = await this._loadModelFile(source);
 
       if (this.model) this.scene.remove(this.model);
 
-      this.model = gltf.scene;
-
-      // Center and scale
-      const box = new THREE.Box3().setFromObject(this.model);
-      const center = box.getCenter(new THREE.Vector3());
-      const size = box.getSize(new THREE.Vector3());
-      const maxDim = Math.max(size.x, size.y, size.z);
-      const scale = 2.5 / maxDim;
-
-      this.model.position.sub(center);
-      this.model.scale.multiplyScalar(scale);
+      this.model = model;
+      this.image = null;
 
       // Make the model invisible — we only want its shape for particles
       this.model.traverse((child) => {
-        if (child.isMesh) {
-          child.material.transparent = true;
-          child.material.opacity = 0;
+        if (!child.material) return;
+        for (const material of [].concat(child.material)) {
+          material.transparent = true;
+          material.opacity = 0;
         }
       });
 
       this.scene.add(this.model);
       this.model.updateMatrixWorld(true);
 
-      // Feed to particle system
+      // Feed to particle system; animated models keep playing, hidden,
+      // with the particles riding the surface
+      this.particleSystem.animateModel(this.model, animations);
       this.particleSystem.setModel(this.model, this.settings);
 
       // Update UI
-      const name = isFile ? source.name : source.split("/").pop();
+      this._addMorphTarget(name, this.model);
       const modelNameEl = document.getElementById("model-name");
       if (modelNameEl) modelNameEl.textContent = name;
 
       const morphToggle = document.getElementById("morph-toggle");
       if (morphToggle) morphToggle.disabled = false;
-
-      if (isFile) URL.revokeObjectURL(url);
     } catch (error) {
       console.error("Error loading model:", error);
-      // Only alert if it was a user user action, or maybe just log for default
-      if (isFile)
-        alert("Error loading model. Please ensure it's a valid GLB/GLTF file.");
-      if (isFile) URL.revokeObjectURL(url);
+      // Only alert for the user's own files, not the default model
+      if (isFile) {
+        alert(
+          `Error loading "${name}". Supported formats: GLB/GLTF, OBJ, FBX, ` +
+            "STL, PLY, PCD, XYZ and PTS.",
+        );
+      }
     }
   }
 
-  async loadAudio(file) {
+  /**
+   * Form the particles into an image (a logo) instead of a model, and add
+   * it to the morph sequence.
+   */
+  async loadImage(file) {
     if (!file) return;
     try {
-      await this.audioAnalyzer.loadAudio(file);
-      document.getElementById("play-pause").disabled = false;
-      document.getElementById("play-pause").textContent = "▶  Play Audio";
+      const source = await this._loadImageFile(file);
+      const options = this._imageOptions();
+      if (!this.particleSystem.setImage(source, options, this.settings)) {
+        alert(`"${file.name}" has no visible pixels to sample.`);
+        return;
+      }
+      if (this.model) this.scene.remove(this.model);
+      this.model = null;
+      this.image = { source, name: file.name };
+
+      const name = this._uniqueTargetName(file.name);
+      this.particleSystem.addImageTarget(name, source, options);
+      this._addMorphStep(name);
+
+      const modelNameEl = document.getElementById("model-name");
+      if (modelNameEl) modelNameEl.textContent = file.name;
+      const morphToggle = document.getElementById("morph-toggle");
+      if (morphToggle) morphToggle.disabled = false;
+    } catch (error) {
+      console.error("Error loading image:", error);
+      alert("Error loading image. Please use a PNG, SVG or JPEG.");
+    }
+  }
+
+  /** Decode an image file (PNG, SVG, JPEG…) */
+  async _loadImageFile(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      return image;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  _imageOptions() {
+    const { imageDensity, imageDepthFrom, imageDepth } = this.settings;
+    return {
+      density: imageDensity,
+      depth: imageDepthFrom === "none" ? 0 : imageDepth,
+      depthFrom: imageDepthFrom,
+      depthMap: this.depthMap,
+    };
+  }
+
+  /** Re-sample the current image after its options change */
+  _applyImage() {
+    if (!this.image) return;
+    this.particleSystem.setImage(
+      this.image.source,
+      this._imageOptions(),
+      this.settings,
+    );
+  }
+
+  /**
+   * Regenerating re-samples every target, so apply the particle count and
+   * seed together once the slider settles
+   */
+  _scheduleRebuild() {
+    clearTimeout(this.rebuildTimer);
+    this.rebuildTimer = setTimeout(() => {
+      this.particleSystem.rebuild({
+        count: this.settings.particleCount,
+        seed: this.settings.seed,
+      });
+      this._updateSimulationStat();
+    }, 250);
+  }
+
+  /** Extra models for the morph sequence (sampled, never rendered) */
+  async addMorphTargets(files) {
+    for (const file of Array.from(files || [])) {
+      try {
+        const { model, animations } = await this._loadModelFile(file);
+        if (!this._addMorphTarget(file.name, model)) {
+          alert(`"${file.name}" has no geometry to morph to.`);
+          continue;
+        }
+        this.particleSystem.animateModel(model, animations);
+      } catch (error) {
+        console.error("Error loading morph target:", error);
+        alert(`Error loading "${file.name}" as a morph target.`);
+      }
+    }
+  }
+
+  /**
+   * Load a model or point cloud, centred and scaled to fit the field.
+   * @returns {Promise<{model, animations}>}
+   */
+  async _loadModelFile(source) {
+    const loaded = await this.modelLoader.load(source);
+    const model = loaded.model;
+
+    // Center and scale
+    const box = new THREE.Box3().setFromObject(model);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scale = 2.5 / maxDim;
+
+    model.position.sub(center);
+    model.scale.multiplyScalar(scale);
+    model.updateMatrixWorld(true);
+    return loaded;
+  }
+
+  /** Register a model as a named target and append it to the sequence */
+  _addMorphTarget(name, model) {
+    const unique = this._uniqueTargetName(name);
+    if (!this.particleSystem.addTarget(unique, model)) return false;
+    this._addMorphStep(unique);
+    return true;
+  }
+
+  _uniqueTargetName(name) {
+    const taken = new Set(this.particleSystem.getTargetNames());
+    let unique = name;
+    for (let n = 2; taken.has(unique); n++) unique = `${name} (${n})`;
+    return unique;
+  }
+
+  /**
+   * The text box as a new morph target and sequence step. Later edits to
+   * the text controls re-shape it in place.
+   */
+  async addTextTarget() {
+    const text = document.getElementById("text-content").value.trim();
+    if (!text) return;
+    await this._loadTextFont();
+
+    const name = this._uniqueTargetName("Text");
+    if (!this.particleSystem.addTextTarget(name, text, this._textOptions())) {
+      alert("Nothing to draw for that text.");
+      return;
+    }
+    this.textTarget = name;
+    this._addMorphStep(name);
+  }
+
+  _scheduleTextUpdate() {
+    if (!this.textTarget) return;
+    clearTimeout(this.textTimer);
+    this.textTimer = setTimeout(() => this._updateTextTarget(), 250);
+  }
+
+  async _updateTextTarget() {
+    const text = document.getElementById("text-content").value.trim();
+    if (!text || !this.textTarget) return;
+    await this._loadTextFont();
+    this.particleSystem.addTextTarget(
+      this.textTarget,
+      text,
+      this._textOptions(),
+    );
+  }
+
+  _textOptions() {
+    return {
+      font: this.settings.textFont,
+      align: this.settings.textAlign,
+      sample: this.settings.textSample,
+      letterSpacing: this.settings.textSpacing,
+      depth: this.settings.textDepth,
+    };
+  }
+
+  /** Web fonts load lazily — make sure the text font is ready to draw */
+  async _loadTextFont() {
+    if (!document.fonts) return;
+    try {
+      await document.fonts.load(`700 128px ${this.settings.textFont}`);
+    } catch (error) {
+      console.warn("Could not load font:", error);
+    }
+  }
+
+  _addMorphStep(target) {
+    this.choreographer.add(target, {
+      duration: this.settings.morphDuration,
+      easing: this.settings.morphEasing,
+    });
+    this._renderMorphSequence();
+  }
+
+  _renderMorphSequence() {
+    const list = document.getElementById("morph-sequence");
+    if (!list) return;
+    list.innerHTML = "";
+    this.choreographer.steps.forEach((step, i) => {
+      const item = document.createElement("li");
+      item.dataset.index = i;
+      const label = document.createElement("span");
+      label.textContent = step.target;
+      const remove = document.createElement("button");
+      remove.textContent = "✕";
+      remove.title = "Remove step";
+      item.append(label, remove);
+      if (i === this.choreographer.index) item.classList.add("active");
+      list.appendChild(item);
+    });
+    const empty = this.choreographer.steps.length === 0;
+    document.getElementById("morph-prev").disabled = empty;
+    document.getElementById("morph-next").disabled = empty;
+  }
+
+  async addToPlaylist(files) {
+    if (!files || files.length === 0) return;
+    const first = this.playlist.add(Array.from(files));
+    this._renderPlaylist();
+    if (this.playlist.index < 0) await this.loadTrack(first);
+  }
+
+  async loadTrack(index, autoplay) {
+    const btn = document.getElementById("play-pause");
+    try {
+      btn.disabled = true;
+      await this.playlist.load(index, {
+        autoplay,
+        transition: this._transitionMode(),
+      });
+      btn.disabled = false;
+    } catch (error) {
+      this._onAudioError(error);
+    }
+  }
+
+  _onAudioError(error) {
+    console.error("Error loading audio:", error);
+    alert("Error loading audio file.");
+    const btn = document.getElementById("play-pause");
+    btn.disabled = !this.audioAnalyzer.sourceType;
+  }
+
+  _transitionMode() {
+    return this.settings.transition === "crossfade" ? "crossfade" : "cut";
+  }
+
+  _onTrackChange() {
+    this.loopStart = null;
+    this.waveform.setTrack(
+      this.audioAnalyzer.getTimeline(),
+      this.audioAnalyzer.getDuration(),
+    );
+    this._renderPlaylist();
+
+    const many = this.playlist.tracks.length > 1;
+    document.getElementById("prev-track").disabled = false;
+    document.getElementById("next-track").disabled = !many;
+    document.getElementById("play-pause").disabled = false;
+  }
+
+  _renderPlaylist() {
+    const list = document.getElementById("playlist");
+    if (!list) return;
+    list.innerHTML = "";
+    this.playlist.tracks.forEach((track, i) => {
+      const item = document.createElement("li");
+      item.dataset.index = i;
+      item.textContent = track.name;
+      if (i === this.playlist.index) item.classList.add("active");
+      list.appendChild(item);
+    });
+    document.getElementById("next-track").disabled =
+      this.playlist.tracks.length < 2;
+  }
+
+  /** Waveform, time readout and play button label */
+  _updateTransport() {
+    const analyzer = this.audioAnalyzer;
+    const time = analyzer.getCurrentTime();
+    const duration = analyzer.getDuration();
+
+    this.waveform.draw(time, analyzer.loopRegion);
+
+    const format = (t) => {
+      const m = Math.floor(t / 60);
+      const sec = Math.floor(t % 60);
+      return `${m}:${String(sec).padStart(2, "0")}`;
+    };
+    const timeEl = document.getElementById("track-time");
+    if (timeEl) timeEl.textContent = `${format(time)} / ${format(duration)}`;
+
+    const btn = document.getElementById("play-pause");
+    if (!btn.disabled) {
+      const label = analyzer.isPlaying ? "⏸  Pause Audio" : "▶  Play Audio";
+      if (btn.textContent !== label) btn.textContent = label;
+    }
+  }
+
+  async startLiveInput() {
+    const deviceId = document.getElementById("input-device").value;
+    const options = {
+      gain: this.settings.inputGain,
+      monitor: this.settings.monitorInput,
+    };
+
+    try {
+      if (deviceId === "tab") {
+        await this.audioAnalyzer.useTabCapture(options);
+      } else {
+        await this.audioAnalyzer.useMicrophone({
+          ...options,
+          deviceId: deviceId || undefined,
+        });
+      }
+      // Device labels only become available after permission is granted
+      await this._refreshInputDevices();
+
+      const btn = document.getElementById("play-pause");
+      btn.disabled = false;
+      btn.textContent = "⏸  Pause Audio";
     } catch (error) {
-      console.error("Error loading audio:", error);
-      alert("Error loading audio file.");
+      console.error("Error opening live input:", error);
+      alert("Could not open the live input.");
     }
   }
 
+  async _refreshInputDevices() {
+    const select = document.getElementById("input-device");
+    if (!select) return;
+
+    let devices;
+    try {
+      devices = await AudioAnalyzer.listInputDevices();
+    } catch (error) {
+      // The fixed options still work without the device list
+      console.warn("Could not list audio inputs:", error);
+      return;
+    }
+    const selected = select.value;
+
+    // Keep the two fixed options, rebuild the device list after them
+    while (select.options.length > 2) select.remove(2);
+    devices.forEach((device, i) => {
+      if (!device.deviceId || device.deviceId === "default") return;
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      option.textContent = device.label || `Input ${i + 1}`;
+      select.appendChild(option);
+    });
+    select.value = selected;
+  }
+
   toggleAudio() {
     const btn = document.getElementById("play-pause");
     if (this.audioAnalyzer.isPlaying) {
@@ -374,6 +1748,22 @@ class App {
   /*  Stats                                                              */
   /* ------------------------------------------------------------------ */
 
+  _updateSimulationStat() {
+    const el = document.getElementById("simulation");
+    if (!el) return;
+    if (this.particleSystem.isGPUSimulation) {
+      el.textContent = "GPU";
+    } else if (
+      this.settings.gpuSimulation &&
+      this.settings.particleMode === "emitter"
+    ) {
+      // Emitters always run on the CPU, whatever the GPU toggle says
+      el.textContent = "CPU (emitters)";
+    } else {
+      el.textContent = "CPU";
+    }
+  }
+
   updateStats() {
     this.stats.frameCount++;
     const now = performance.now();
@@ -399,43 +1789,63 @@ class App {
     requestAnimationFrame(this.animate.bind(this));
 
     try {
-      const time = performance.now();
-      this.audioAnalyzer.update();
-
-      let audioLevel = 0;
-      let frequencyData = null;
-
-      if (this.audioAnalyzer.isPlaying) {
-        audioLevel = this.audioAnalyzer.getAverageFrequency();
-        frequencyData = this.audioAnalyzer.getFrequencyData();
+      this._flushMidiColors();
+
+      // ---- Audio frame: live analysis or replayed trace ----
+      let frame;
+      if (this.tracePlayer && this.tracePlayer.isPlaying) {
+        frame = this.tracePlayer.next(performance.now() * 0.001);
+        this._updateTracePosition();
+      } else {
+        this.audioAnalyzer.update();
+        frame = this.audioAnalyzer.getFrame();
+        if (this.traceRecording) this.trace.record(frame);
+      }
 
+      if (frame.frequencyData) {
         // Update stat displays
         const setBar = (id, value) => {
           const el = document.getElementById(id);
           if (el) el.textContent = Math.round(value * 100) + "%";
         };
-        setBar("bass-level", this.audioAnalyzer.bass);
-        setBar("mid-level", this.audioAnalyzer.mid);
-        setBar("treble-level", this.audioAnalyzer.treble);
+        setBar("bass-level", frame.bass);
+        setBar("mid-level", frame.mid);
+        setBar("treble-level", frame.treble);
 
         const audioEl = document.getElementById("audio-level");
-        if (audioEl) audioEl.textContent = Math.round(audioLevel);
+        if (audioEl) audioEl.textContent = Math.round(frame.audioLevel);
+
+        // Tempo (only once the beat grid is locked)
+        const bpmEl = document.getElementById("bpm");
+        if (bpmEl) {
+          bpmEl.textContent =
+            frame.tempoConfidence >= 0.5 ? Math.round(frame.bpm) : "–";
+        }
+
+        // Stereo image: balance and width
+        const stereoEl = document.getElementById("stereo");
+        if (stereoEl) {
+          const pan = Math.round(frame.balance * 100);
+          const side = pan < 0 ? `L ${-pan}` : pan > 0 ? `R ${pan}` : "C";
+          stereoEl.textContent = `${side} · ${Math.round(frame.stereoWidth * 100)}% wide`;
+        }
 
         // Beat indicator
         const beatEl = document.getElementById("beat-indicator");
         if (beatEl) {
-          beatEl.style.opacity = this.audioAnalyzer.isBeat ? "1" : "0.15";
+          beatEl.style.opacity = frame.isBeat ? "1" : "0.15";
         }
       }
 
+      this.playlist.update();
+      this._updateTransport();
+
+      // ---- Morph sequence ----
+      this.choreographer.update(frame);
+
       // ---- Update particles ----
       this.particleSystem.update({
-        audioLevel,
-        frequencyData,
-        bass: this.audioAnalyzer.bass,
-        mid: this.audioAnalyzer.mid,
-        treble: this.audioAnalyzer.treble,
-        isBeat: this.audioAnalyzer.isBeat,
+        ...frame,
         reactivity: this.settings.reactivity,
         attenuation: this.settings.attenuation,
         turbulence: this.settings.turbulence,
@@ -445,17 +1855,27 @@ class App {
       // ---- Morph state display ----
       const morphEl = document.getElementById("morph-state");
       if (morphEl) {
+        const target = this.particleSystem.currentTarget;
         const state = this.particleSystem.getMorphState();
-        morphEl.textContent = state > 0.5 ? "Formed" : "Scattered";
+        if (target) {
+          morphEl.textContent = this.particleSystem.isMorphing
+            ? `→ ${target}`
+            : target;
+        } else {
+          morphEl.textContent = state > 0.5 ? "Formed" : "Scattered";
+        }
       }
 
       // ---- Controls ----
       this.controls.update();
 
-      // ---- Update Mouse Force ----
-      if (this.particleSystem.setMouse) {
-        this.particleSystem.setMouse(this.mouse.x, this.mouse.y);
-      }
+      // ---- Pointer interaction ----
+      // Rays land on the model while the particles are formed on it,
+      // otherwise on a plane through the orbit target
+      const formed = this.model && this.particleSystem.getMorphState() > 0.5;
+      this.pointer.targets = formed ? [this.model] : [];
+      this.pointer.planeCenter.copy(this.controls.target);
+      this.particleSystem.setPointers(this.pointer.hits());
 
       // ---- Render with post-processing ----
       this.composer.render();